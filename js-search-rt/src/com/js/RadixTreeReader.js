@@ -0,0 +1,880 @@
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * RadixTreeReader Object definition
+ * Read-only front end access to a tree serialized with buildJSONString()
+ *   or buildCompactString(). The tree is never rebuilt, it is only
+ *   queried, and the compact format is queried in its packed form.
+ *   Prefixes are searched with the synonym groups recorded in the JSON
+ *   the same way the tree searches them.
+ *
+ * how to use:
+ *   var [object_name] = RadixTreeReader(json);
+ *     //json = Object or String returned by buildJSONString() or buildCompactString()
+ *     //optional properties, the recorded keySwap can be replaced and
+ *     //custom normalizers recorded by function name must be passed in
+ *     var [object_name] = RadixTreeReader(json, {
+ *       keySwap: {key:swap_key},
+ *       normalizers: {[function_name]: function(key) {}}
+ *     });
+ *
+ *   RadixTreeReader.load(url, function(error, [object_name]) {});
+ *     //optional properties
+ *     RadixTreeReader.load(url, callback, {keySwap: {key:swap_key}, fetcher: function(url, callback) {}});
+ *
+ *   //bring a JSON up to date with a patch built by buildPatchString()
+ *   var [object_name] = RadixTreeReader(RadixTreeReader.applyPatch(json, patch));
+ */
+function RadixTreeReader(json, options) {
+    //private variables
+    var source = typeof json === "string" ? JSON.parse(json) : json,
+        tree = source,
+        packed = null,
+        version = 1,
+        keywordCount = 0,
+        dataCount = 0,
+        normalizers = RadixTreeReader.DEFAULT_NORMALIZERS,
+        keySwap = {},
+        synonyms = [];
+
+    options = options || {};
+
+    if (source === null || typeof source !== "object" || Array.isArray(source)) {
+        throw new TypeError("RadixTreeReader: expected the tree built by buildJSONString()");
+    }
+
+    //trees built before normalizers were recorded only contain the tree
+    if (Array.isArray(source.normalizers)) {
+        tree = source.tree;
+        normalizers = source.normalizers.map(resolveNormalizer);
+        keySwap = source.keySwap || {};
+        version = source.version || 1;
+        //the terms of the synonym groups are already processed
+        synonyms = source.synonyms || [];
+    }
+
+    //the compact format is queried through the offsets of its nodes
+    if (source.format === "compact") {
+        packed = unpackOffsets(source);
+        tree = 0;
+    //version 1 JSON nodes hold their children next to their data in $
+    } else if (version !== 1 && version !== 2) {
+        throw new TypeError("RadixTreeReader: unsupported JSON version " + version);
+    }
+
+    //optional variable to swap keys
+    //  keySwap = {key:swap_key};
+    keySwap = options.keySwap || keySwap;
+
+    //count keywords and data once, the tree never changes
+    forEach(function (keyword, data) {
+        keywordCount++;
+        dataCount += data.length;
+    });
+
+    /***************************************************************************
+     * Search Functions
+     */
+
+    /*****
+     * @public
+     * search()
+     * The purpose of this function is to find every keyword that
+     *   starts with the prefix and return it along with its data.
+     *
+     * @params
+     * prefix = mandatory, String used to search the tree
+     * options = optional, Object used to configure the search
+     *   limit = optional, int used to limit the amount of keywords returned
+     *   synonyms = optional, Boolean false to skip the synonym expansion
+     */
+    function search(prefix, options) {
+        var prefixes,
+            results = [],
+            limit = options && typeof options.limit === "number" ? options.limit : Infinity;
+
+        //search the prefix and every synonym of it
+        prefix = processKey(prefix);
+        prefixes = options && options.synonyms === false ? [prefix] : expandSynonyms(prefix);
+        for (var i = 0, arrlen = prefixes.length; i < arrlen && results.length < limit; i++) {
+            var match = find(prefixes[i], true),
+                keywords = match ? collectKeywords(match.node, match.key, [], limit) : [];
+
+            //skip keywords already found with another prefix
+            for (var j = 0, keylen = keywords.length; j < keylen && results.length < limit; j++) {
+                if (!results.some(function (result) { return result.keyword === keywords[j].keyword; })) {
+                    results.push(keywords[j]);
+                }
+            }
+        }
+        return results;
+    }
+
+    /*****
+     * @private
+     * expandSynonyms()
+     * The purpose of this function is to get the prefixes to search for a
+     *   processed prefix, the same way the tree does. A prefix
+     *   starting with a whole term is repeated with every synonym in its
+     *   place, and a prefix that is the start of a term adds every synonym
+     *   of the term.
+     *
+     * @params
+     * prefix = mandatory, processed String to expand
+     */
+    function expandSynonyms(prefix) {
+        var prefixes = [prefix];
+
+        if (prefix.length === 0) {
+            return prefixes;
+        }
+
+        for (var i = 0, arrlen = synonyms.length; i < arrlen; i++) {
+            for (var j = 0, termlen = synonyms[i].length; j < termlen; j++) {
+                var term = synonyms[i][j],
+                    rest = null;
+
+                //if prefix starts with the whole term, keep the rest of the prefix
+                if (prefix.indexOf(term) === 0 && (prefix.length === term.length || prefix.charAt(term.length) === "_")) {
+                    rest = prefix.substr(term.length);
+                //else if prefix is the start of the term, search the whole synonyms
+                } else if (term.indexOf(prefix) === 0) {
+                    rest = "";
+                } else {
+                    continue;
+                }
+
+                for (var k = 0; k < termlen; k++) {
+                    if (k !== j && prefixes.indexOf(synonyms[i][k] + rest) === -1) {
+                        prefixes.push(synonyms[i][k] + rest);
+                    }
+                }
+            }
+        }
+        return prefixes;
+    }
+
+    /***************************************************************************
+     * Lookup Functions
+     */
+
+    /*****
+     * @public
+     * get()
+     * The purpose of this function is to return a copy of the data of
+     *   the keyword matching the key exactly or undefined.
+     *
+     * @params
+     * key = mandatory, String used to find the matching keyword
+     */
+    function get(key) {
+        var match = find(processKey(key), false);
+        return match ? nodeData(match.node) : undefined;
+    }
+
+    /*****
+     * @public
+     * has()
+     * The purpose of this function is to check whether or not the key
+     *   exists with data attached to it.
+     *
+     * @params
+     * key = mandatory, String used to find the matching keyword
+     */
+    function has(key) {
+        return typeof get(key) !== "undefined";
+    }
+
+    /*****
+     * @public
+     * hasData()
+     * The purpose of this function is to check whether or not the key
+     *   exists and contains the matching data.
+     *
+     * @params
+     * key = mandatory, String used to find the matching keyword
+     * data = mandatory, "data" to find on the matching keyword
+     */
+    function hasData(key, data) {
+        var nodeData = get(key);
+
+        if (typeof nodeData === "undefined") {
+            return false;
+        }
+        for (var i = 0, arrlen = nodeData.length; i < arrlen; i++) {
+            if (RadixTreeReader.deepEqual(nodeData[i], data, [])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /***************************************************************************
+     * Iteration Functions
+     */
+
+    /*****
+     * @public
+     * forEach()
+     * The purpose of this function is to call the callback once for
+     *   every keyword in the tree.
+     *
+     * @params
+     * callback = mandatory, Function called with the keyword String and a copy of its "data"[]
+     */
+    function forEach(callback) {
+        var results = collectKeywords(tree, "", [], Infinity);
+        for (var i = 0, arrlen = results.length; i < arrlen; i++) {
+            callback(results[i].keyword, results[i].data);
+        }
+    }
+
+    /***************************************************************************
+     * Utility Functions
+     */
+
+    /*****
+     * @private
+     * find()
+     * The purpose of this function is to walk the tree one node key at
+     *   a time to find the node matching the key. It returns the node
+     *   with its full key or null if the key doesn't exist.
+     *
+     * @params
+     * key = mandatory, processed String used to find the node
+     * partial = mandatory, Boolean allowing the key to end in the middle of a node key
+     */
+    function find(key, partial) {
+        var node = tree,
+            ttlCharsMatch = 0;
+
+        while (ttlCharsMatch < key.length) {
+            var tempKey = key.substr(ttlCharsMatch),
+                child = findChild(node, tempKey.charAt(0));
+
+            //if the key doesn't continue down the tree
+            if (child === null) {
+                return null;
+            }
+
+            //if key ends in the middle of the node key
+            if (tempKey.length < child.key.length) {
+                if (partial && child.key.substr(0, tempKey.length) === tempKey) {
+                    return { node: child.node, key: key + child.key.substr(tempKey.length) };
+                }
+                return null;
+            }
+
+            if (tempKey.substr(0, child.key.length) !== child.key) {
+                return null;
+            }
+            node = child.node;
+            ttlCharsMatch += child.key.length;
+        }
+        return { node: node, key: key };
+    }
+
+    /*****
+     * @private
+     * collectKeywords()
+     * The purpose of this function is to recursively collect every
+     *   keyword and its data starting at the node.
+     *
+     * @params
+     * node = mandatory, Object used as the starting point of the collection
+     * key = mandatory, String containing the full key of the node
+     * results = mandatory, Object[] used to hold the collected keywords
+     * limit = mandatory, int used to stop collecting keywords
+     */
+    function collectKeywords(node, key, results, limit) {
+        var data = nodeData(node),
+            nodeChildren = children(node);
+
+        //add keyword if node contains data
+        if (data && results.length < limit) {
+            results.push({ keyword: key, data: data });
+        }
+        //loop through child nodes
+        for (var i = 0, arrlen = nodeChildren.length; i < arrlen && results.length < limit; i++) {
+            collectKeywords(nodeChildren[i].node, key + nodeChildren[i].key, results, limit);
+        }
+        return results;
+    }
+
+    /*****
+     * @public
+     * normalize()
+     * The purpose of this function is to return the key the way the tree
+     *   stores it, so callers can compare their input with keywords.
+     *
+     * @param
+     * key = mandatory, String to normalize
+     */
+    function normalize(key) {
+        return processKey(key);
+    }
+
+    /*****
+     * @private
+     * processKey()
+     * The purpose of this function is to normalize the key the same
+     *   way the tree did when it was built, with the recorded keySwap
+     *   and normalizers.
+     *
+     * @param
+     * key = mandatory, String used to process key before searching the tree
+     */
+    function processKey(key) {
+        if (keySwap && Object.prototype.hasOwnProperty.call(keySwap, key) && keySwap[key]) {
+            key = keySwap[key];
+        }
+        for (var i = 0, arrlen = normalizers.length; i < arrlen; i++) {
+            key = normalizers[i](key);
+        }
+        return key;
+    }
+
+    /*****
+     * @private
+     * resolveNormalizer()
+     * The purpose of this function is to find the normalizer Function of
+     *   a recorded name, first in the custom normalizers option and then
+     *   in the built-in normalizers.
+     *
+     * @param
+     * name = mandatory, String name recorded by buildJSONString()
+     */
+    function resolveNormalizer(name) {
+        if (options.normalizers && options.normalizers.hasOwnProperty(name)) {
+            return options.normalizers[name];
+        }
+        if (RadixTreeReader.NORMALIZERS.hasOwnProperty(name)) {
+            return RadixTreeReader.NORMALIZERS[name];
+        }
+        throw new TypeError("RadixTreeReader: unknown normalizer '" + name + "', pass it in the normalizers option");
+    }
+
+    /***************************************************************************
+     * Node Functions
+     *   Nodes are Objects of the JSON tree or int positions in the
+     *   node array of the compact format.
+     */
+
+    /*****
+     * @private
+     * jsonChildren()
+     * The purpose of this function is to get the child nodes of a JSON
+     *   node along with their node keys, in the order of the JSON.
+     *   Version 2 nodes hold their children in children, version 1 nodes
+     *   hold them next to their data.
+     *
+     * @param
+     * node = mandatory, Object of the JSON tree
+     */
+    function jsonChildren(node) {
+        var results = [],
+            object = version === 1 ? node : node.children || {};
+
+        for (var str in object) {
+            if (Object.prototype.hasOwnProperty.call(object, str) && (version !== 1 || str !== "$")) {
+                results.push({ key: str, node: object[str] });
+            }
+        }
+        return results;
+    }
+
+    /*****
+     * @private
+     * children()
+     * The purpose of this function is to get the child nodes of a node
+     *   along with their node keys, sorted by node key like the tree.
+     *
+     * @param
+     * node = mandatory, node to get the children of
+     */
+    function children(node) {
+        var results = [];
+
+        if (packed) {
+            for (var i = packed.firstChild[node], arrlen = i + source.nodes[node * 3 + 1]; i < arrlen; i++) {
+                results.push({ key: source.labels[source.nodes[i * 3]], node: i });
+            }
+            return results;
+        }
+        return jsonChildren(node).sort(function (a, b) {
+            return a.key < b.key ? -1 : 1;
+        });
+    }
+
+    /*****
+     * @private
+     * findChild()
+     * The purpose of this function is to find the child node whose node
+     *   key starts with the character. Node keys of the same parent never
+     *   share their first character, and the compact format sorts them so
+     *   they can be searched by halves.
+     *
+     * @params
+     * node = mandatory, node to search the children of
+     * chr = mandatory, String first character of the node key
+     */
+    function findChild(node, chr) {
+        if (packed) {
+            var low = packed.firstChild[node],
+                high = low + source.nodes[node * 3 + 1] - 1;
+
+            while (low <= high) {
+                var middle = (low + high) >> 1,
+                    label = source.labels[source.nodes[middle * 3]];
+
+                if (label.charAt(0) === chr) {
+                    return { key: label, node: middle };
+                }
+                if (label.charAt(0) < chr) {
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return null;
+        }
+        return jsonChildren(node).filter(function (child) {
+            return child.key.charAt(0) === chr;
+        })[0] || null;
+    }
+
+    /*****
+     * @private
+     * nodeData()
+     * The purpose of this function is to get a copy of the data of a
+     *   node or undefined if the node isn't a keyword.
+     *
+     * @param
+     * node = mandatory, node to get the data of
+     */
+    function nodeData(node) {
+        if (packed) {
+            var start = packed.dataStart[node],
+                end = start + source.nodes[node * 3 + 2];
+
+            return end > start ? source.data.slice(start, end).map(function (id) { return source.values[id]; }) : undefined;
+        }
+        var data = version === 1 ? node.$ : node.data;
+        return data ? data.slice() : undefined;
+    }
+
+    /*****
+     * @private
+     * unpackOffsets()
+     * The purpose of this function is to find where the children and the
+     *   data of every node of the compact format start. The nodes are
+     *   stored breadth first, so both are running totals.
+     *
+     * @param
+     * compact = mandatory, Object built by buildCompactString()
+     */
+    function unpackOffsets(compact) {
+        var nodeCount = compact.nodes.length / 3,
+            offsets = { firstChild: [], dataStart: [] },
+            child = 1,
+            data = 0;
+
+        if (compact.version !== 1) {
+            throw new TypeError("RadixTreeReader: unsupported compact format version " + compact.version);
+        }
+        for (var i = 0; i < nodeCount; i++) {
+            offsets.firstChild.push(child);
+            offsets.dataStart.push(data);
+            child += compact.nodes[i * 3 + 1];
+            data += compact.nodes[i * 3 + 2];
+        }
+        if (nodeCount < 1 || child !== nodeCount || data !== compact.data.length) {
+            throw new TypeError("RadixTreeReader: the compact tree is corrupted");
+        }
+        return offsets;
+    }
+
+    //returns access to read variables only and access to the query functions
+    return {
+        keywordCount: function getKeywordCount() { return keywordCount; },
+        dataCount: function getDataCount() { return dataCount; },
+        search: search,
+        get: get,
+        has: has,
+        hasData: hasData,
+        forEach: forEach,
+        normalize: normalize
+    }
+}
+
+/*****
+ * @public
+ * RadixTreeReader.NORMALIZERS
+ * The built-in key normalizers, matching RadixTree.NORMALIZERS.
+ */
+RadixTreeReader.NORMALIZERS = Object.freeze({
+    lowercase: function lowercase(key) {
+        return key.toLowerCase();
+    },
+    diacritics: function diacritics(key) {
+        //decompose characters and drop the combining marks, "Am\u00e9lie" becomes "Amelie"
+        return key.normalize ? key.normalize("NFKD").replace(/[\u0300-\u036f]/g, "") : key;
+    },
+    punctuation: function punctuation(key) {
+        //underscores are kept since they separate words
+        return key.replace(/[!-\/:-@\[-\^`{-~\u00a1\u00bf\u2010-\u2027]/g, "");
+    },
+    whitespace: function whitespace(key) {
+        return key.replace(/\s+/g, " ").replace(/^ | $/g, "");
+    },
+    numbers: function numbers(key) {
+        //number words joined by spaces, underscores or hyphens make one
+        //number, "three hundred" becomes "300" and "twenty-one" becomes "21"
+        return key.replace(/[a-z]+(?:[ _-]+[a-z]+)*/gi, function (words) {
+            var parts = words.split(/([ _-]+)/),
+                result = "",
+                separator = "",
+                total = 0,
+                current = -1;
+
+            for (var i = 0, arrlen = parts.length; i < arrlen; i += 2) {
+                var word = RadixTreeReader.NUMBER_WORDS[parts[i].toLowerCase()],
+                    value = typeof word === "undefined" ? -1 : Number(word);
+
+                //hundreds multiply the units, teens and tens before them
+                if (value === 100 && current > 0 && current < 100) {
+                    current *= 100;
+                //thousands multiply the number before them once
+                } else if (value === 1000 && total === 0 && current > 0 && current < 1000) {
+                    total = current * 1000;
+                    current = 0;
+                //units, teens and tens follow hundreds and thousands, units follow tens
+                } else if ((value > 0 && value < 100 && (total > 0 || current > 0) && current % 100 === 0) ||
+                        (value > 0 && value < 10 && current % 100 >= 20 && current % 10 === 0)) {
+                    current += value;
+                } else {
+                    if (current !== -1) {
+                        result += (total + current) + separator;
+                    }
+                    if (value === -1) {
+                        result += parts[i] + (parts[i + 1] || "");
+                    }
+                    total = 0;
+                    current = value;
+                }
+                separator = parts[i + 1] || "";
+            }
+            return current === -1 ? result : result + (total + current) + separator;
+        });
+    },
+    underscore: function underscore(key) {
+        return key.replace(/ /g,"_");
+    }
+});
+
+/*****
+ * @public
+ * RadixTreeReader.DEFAULT_NORMALIZERS
+ * The normalizers of trees built before normalizers were recorded.
+ */
+RadixTreeReader.DEFAULT_NORMALIZERS = Object.freeze([
+    RadixTreeReader.NORMALIZERS.lowercase,
+    RadixTreeReader.NORMALIZERS.underscore
+]);
+
+/*****
+ * @public
+ * RadixTreeReader.NUMBER_WORDS
+ * The number words replaced by the numbers normalizer.
+ */
+RadixTreeReader.NUMBER_WORDS = Object.freeze({
+    zero: "0", one: "1", two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7",
+    eight: "8", nine: "9", ten: "10", eleven: "11", twelve: "12", thirteen: "13",
+    fourteen: "14", fifteen: "15", sixteen: "16", seventeen: "17", eighteen: "18",
+    nineteen: "19", twenty: "20", thirty: "30", forty: "40", fifty: "50", sixty: "60",
+    seventy: "70", eighty: "80", ninety: "90", hundred: "100", thousand: "1000"
+});
+
+/*****
+ * @public
+ * RadixTreeReader.load()
+ * The purpose of this function is to fetch the serialized tree from
+ *   the url and pass a new RadixTreeReader to the callback.
+ *
+ * @params
+ * url = mandatory, String location of the buildJSONString() output
+ * callback = mandatory, Function called with an error or null and the RadixTreeReader
+ * options = optional, Object passed to RadixTreeReader()
+ *   fetcher = optional, Function(url, callback) used to fetch the tree, defaults to XMLHttpRequest
+ */
+RadixTreeReader.load = function load(url, callback, options) {
+    var fetcher = options && options.fetcher || RadixTreeReader.xhrFetcher;
+
+    fetcher(url, function (error, json) {
+        var reader;
+        if (error) {
+            callback(error);
+            return;
+        }
+        try {
+            reader = RadixTreeReader(json, options);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        callback(null, reader);
+    });
+};
+
+/*****
+ * @private
+ * RadixTreeReader.xhrFetcher()
+ * The purpose of this function is to be the default fetcher used by
+ *   load(). It requests the url with an XMLHttpRequest.
+ *
+ * @params
+ * url = mandatory, String location of the buildJSONString() output
+ * callback = mandatory, Function called with an error or null and the response text
+ */
+RadixTreeReader.xhrFetcher = function xhrFetcher(url, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", url, true);
+    xhr.onreadystatechange = function () {
+        if (xhr.readyState !== 4) {
+            return;
+        }
+        if (xhr.status >= 200 && xhr.status < 300) {
+            callback(null, xhr.responseText);
+        } else {
+            callback(new Error("RadixTreeReader: failed to load '" + url + "' (" + xhr.status + ")"));
+        }
+    };
+    xhr.send(null);
+};
+
+/*****
+ * @public
+ * RadixTreeReader.applyPatch()
+ * The purpose of this function is to apply a patch built by
+ *   buildPatchString() to a JSON built by buildJSONString() at the
+ *   revision the patch starts from, so only the changes are downloaded.
+ *   It returns a patched copy of the JSON at the revision the patch
+ *   leads to, to be passed to RadixTreeReader(). The synonym groups are
+ *   replaced when the patch sends them.
+ *
+ * @params
+ * json = mandatory, Object or String built by buildJSONString() with a revision
+ * patch = mandatory, Object or String built by buildPatchString()
+ */
+RadixTreeReader.applyPatch = function applyPatch(json, patch) {
+    //parse copies, the JSON and patch of the caller aren't changed
+    var target = JSON.parse(typeof json === "string" ? json : JSON.stringify(json)),
+        changes = JSON.parse(typeof patch === "string" ? patch : JSON.stringify(patch));
+
+    if (!target || target.format !== "json" || target.version !== 2) {
+        throw new TypeError("RadixTreeReader: patches only apply to version 2 of the JSON built by buildJSONString()");
+    }
+    if (!changes || changes.format !== "patch" || changes.version !== 1) {
+        throw new TypeError("RadixTreeReader: expected the patch built by buildPatchString()");
+    }
+    if (target.revision !== changes.from) {
+        throw new TypeError("RadixTreeReader: the patch starts at revision " + changes.from + " but the JSON is at revision " + target.revision);
+    }
+
+    if (changes.clear) {
+        target.tree = {};
+        target.weights = {};
+    }
+    target.weights = target.weights || {};
+    for (var keyword in changes.keywords) {
+        if (!Object.prototype.hasOwnProperty.call(changes.keywords, keyword)) {
+            continue;
+        }
+        RadixTreeReader.patchKeyword(target.tree, keyword, changes.keywords[keyword]);
+        delete target.weights[keyword];
+        if (changes.weights && Object.prototype.hasOwnProperty.call(changes.weights, keyword)) {
+            RadixTreeReader.defineKey(target.weights, keyword, changes.weights[keyword]);
+        }
+    }
+    //the JSON leaves out the synonyms when there are no groups
+    if (Array.isArray(changes.synonyms)) {
+        if (changes.synonyms.length) {
+            target.synonyms = changes.synonyms;
+        } else {
+            delete target.synonyms;
+        }
+    }
+    target.revision = changes.to;
+    return target;
+};
+
+/*****
+ * @private
+ * RadixTreeReader.patchKeyword()
+ * The purpose of this function is to replace the data of a keyword in a
+ *   version 2 JSON tree, splitting the node key it ends in, or to remove
+ *   the keyword along with the nodes left empty when the data is null.
+ *
+ * @params
+ * root = mandatory, Object root node of the JSON tree
+ * keyword = mandatory, String processed keyword
+ * data = mandatory, "data"[] of the keyword or null to remove it
+ */
+RadixTreeReader.patchKeyword = function patchKeyword(root, keyword, data) {
+    var node = root,
+        parents = [],
+        length = 0;
+
+    while (length < keyword.length) {
+        var tempKey = keyword.substr(length),
+            children = node.children || {},
+            childKey = null,
+            charsMatch = 0;
+
+        //node keys of the same parent never share their first character
+        for (var str in children) {
+            if (Object.prototype.hasOwnProperty.call(children, str) && str.charAt(0) === tempKey.charAt(0)) {
+                childKey = str;
+                break;
+            }
+        }
+
+        //if the keyword doesn't continue down the tree
+        if (childKey === null) {
+            if (data !== null) {
+                node.children = children;
+                RadixTreeReader.defineKey(children, tempKey, { data: data });
+            }
+            return;
+        }
+
+        while (charsMatch < childKey.length && childKey.charAt(charsMatch) === tempKey.charAt(charsMatch)) {
+            charsMatch++;
+        }
+        //if the keyword ends in the middle of the node key, split it
+        if (charsMatch < childKey.length) {
+            if (data === null) {
+                return;
+            }
+            var split = { children: {} };
+            RadixTreeReader.defineKey(split.children, childKey.substr(charsMatch), children[childKey]);
+            delete children[childKey];
+            childKey = childKey.substr(0, charsMatch);
+            RadixTreeReader.defineKey(children, childKey, split);
+        }
+        parents.push({ node: node, key: childKey });
+        node = children[childKey];
+        length += childKey.length;
+    }
+
+    if (data !== null) {
+        node.data = data;
+        return;
+    }
+
+    //remove the data, then the nodes left without data and children
+    delete node.data;
+    for (var i = parents.length - 1; i >= 0; i--) {
+        var parent = parents[i].node,
+            child = parent.children[parents[i].key];
+
+        if (child.data || (child.children && Object.keys(child.children).length)) {
+            break;
+        }
+        delete parent.children[parents[i].key];
+        if (!Object.keys(parent.children).length) {
+            delete parent.children;
+        }
+    }
+};
+
+/*****
+ * @private
+ * RadixTreeReader.defineKey()
+ * The purpose of this function is to add a key to a parsed JSON Object,
+ *   so "__proto__" is added like any other key instead of setting the
+ *   prototype.
+ *
+ * @params
+ * object = mandatory, Object to add the key to
+ * key = mandatory, String key
+ * value = mandatory, value of the key
+ */
+RadixTreeReader.defineKey = function defineKey(object, key, value) {
+    Object.defineProperty(object, key, { value: value, writable: true, enumerable: true, configurable: true });
+};
+
+/*****
+ * @private
+ * RadixTreeReader.deepEqual()
+ * The purpose of this function is to structurally compare two values
+ *   the same way as the deep equality of RadixTree. Object keys can be
+ *   in any order, Dates and RegExps compare by value, NaN equals NaN
+ *   and Functions compare by identity.
+ *
+ * @params
+ * a = mandatory, value to compare
+ * b = mandatory, value to compare
+ * stack = mandatory, Object[] pairs being compared, used to stop on circular references
+ */
+RadixTreeReader.deepEqual = function deepEqual(a, b, stack) {
+    if (a === b) {
+        return true;
+    }
+    //NaN is the only value not identical to itself
+    if (a !== a && b !== b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") {
+        return false;
+    }
+    var type = Object.prototype.toString.call(a);
+    if (type !== Object.prototype.toString.call(b)) {
+        return false;
+    }
+    if (type === "[object Date]") {
+        return RadixTreeReader.deepEqual(a.getTime(), b.getTime(), stack);
+    }
+    if (type === "[object RegExp]") {
+        return String(a) === String(b);
+    }
+
+    //if this pair is already being compared, assume it is equal
+    for (var i = 0, arrlen = stack.length; i < arrlen; i++) {
+        if (stack[i][0] === a && stack[i][1] === b) {
+            return true;
+        }
+    }
+
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    stack.push([a, b]);
+    for (i = 0, arrlen = keys.length; i < arrlen; i++) {
+        if (!Object.prototype.hasOwnProperty.call(b, keys[i]) || !RadixTreeReader.deepEqual(a[keys[i]], b[keys[i]], stack)) {
+            stack.pop();
+            return false;
+        }
+    }
+    stack.pop();
+    return true;
+};
+
+/*****
+ * Module export
+ * Plain scripts keep the global RadixTreeReader, CommonJS and AMD
+ *   loaders get it without a global.
+ */
+if (typeof module === "object" && module.exports) {
+    module.exports = { RadixTreeReader: RadixTreeReader };
+} else if (typeof define === "function" && define.amd) {
+    define(function () {
+        return { RadixTreeReader: RadixTreeReader };
+    });
+}
@@ -0,0 +1,240 @@
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * radixAutocomplete jQuery plugin
+ * Attaches a suggestion list to text inputs. Every keystroke searches
+ *   the source by prefix and lists the matching keywords.
+ *
+ * how to use:
+ *   $([selector]).radixAutocomplete({
+ *     source: [RadixTree or RadixTreeReader object]
+ *     //optional properties
+ *     ,limit: 10
+ *     ,minLength: 1
+ *     ,select: function(e, result) {}
+ *   });
+ *
+ *   //select event triggered on the input, result = {keyword:String, data:"data"[]}
+ *   $([selector]).on("radixautocompleteselect", function(e, result) {});
+ */
+(function ($) {
+    "use strict";
+
+    var KEY_ENTER = 13,
+        KEY_ESCAPE = 27,
+        KEY_UP = 38,
+        KEY_DOWN = 40;
+
+    /*****
+     * @public
+     * $.fn.radixAutocomplete()
+     * The purpose of this function is to attach the autocomplete to
+     *   every matched text input.
+     *
+     * @params
+     * options = mandatory, Object used to configure the autocomplete
+     *   source = mandatory, Object with a search(prefix, options) function
+     *   limit = optional, int used to limit the amount of suggestions
+     *   minLength = optional, int amount of characters typed before searching
+     *   select = optional, Function bound to the select event
+     */
+    $.fn.radixAutocomplete = function radixAutocomplete(options) {
+        var settings = $.extend({}, $.fn.radixAutocomplete.defaults, options);
+
+        return this.each(function () {
+            var $input = $(this),
+                $list = $("<ul/>").addClass(settings.listClass).hide().insertAfter($input),
+                results = [],
+                active = -1,
+                term = null;
+
+            $input.attr("autocomplete", "off");
+
+            if (settings.select) {
+                $input.on("radixautocompleteselect", settings.select);
+            }
+
+            /*****
+             * @private
+             * update()
+             * The purpose of this function is to search the source for the
+             *   current value of the input and render the suggestions.
+             */
+            function update() {
+                var value = $input.val();
+
+                //skip keystrokes that didn't change the value
+                if (value === term) {
+                    return;
+                }
+                term = value;
+
+                if (value.length < settings.minLength) {
+                    results = [];
+                } else {
+                    results = settings.source.search(value, { limit: settings.limit });
+                }
+                render();
+            }
+
+            /*****
+             * @private
+             * render()
+             * The purpose of this function is to rebuild the suggestion list
+             *   with the matched prefix of every keyword highlighted.
+             */
+            function render() {
+                var prefix = settings.source.normalize ? settings.source.normalize(term) : normalize(term);
+
+                active = -1;
+                $list.empty();
+                $.each(results, function (i, result) {
+                    var label = display(result.keyword),
+                        $item = $("<li/>").data("index", i);
+
+                    //highlight the matched prefix
+                    if (prefix.length && result.keyword.indexOf(prefix) === 0) {
+                        $item.append($("<span/>").addClass(settings.matchClass).text(label.substr(0, prefix.length)));
+                        $item.append(document.createTextNode(label.substr(prefix.length)));
+                    } else {
+                        $item.text(label);
+                    }
+                    $list.append($item);
+                });
+                $list.toggle(results.length > 0);
+            }
+
+            /*****
+             * @private
+             * move()
+             * The purpose of this function is to move the active suggestion
+             *   up or down the list, wrapping around at either end.
+             *
+             * @params
+             * step = mandatory, int 1 to move down or -1 to move up
+             */
+            function move(step) {
+                if (!results.length) {
+                    return;
+                }
+                active = (active + step + results.length + 1) % (results.length + 1);
+                //the position after the last suggestion deselects the list
+                if (active === results.length) {
+                    active = -1;
+                }
+                $list.children().removeClass(settings.activeClass);
+                if (active !== -1) {
+                    $list.children().eq(active).addClass(settings.activeClass);
+                }
+            }
+
+            /*****
+             * @private
+             * select()
+             * The purpose of this function is to fill the input with the
+             *   suggestion and trigger the select event with its data.
+             *
+             * @params
+             * i = mandatory, int position of the suggestion in the list
+             */
+            function select(i) {
+                var result = results[i];
+
+                term = display(result.keyword);
+                $input.val(term);
+                close();
+                $input.trigger("radixautocompleteselect", [result]);
+            }
+
+            /*****
+             * @private
+             * close()
+             * The purpose of this function is to hide the suggestion list.
+             */
+            function close() {
+                results = [];
+                active = -1;
+                $list.empty().hide();
+            }
+
+            $input.on("keydown", function (e) {
+                switch (e.which) {
+                    case KEY_DOWN:
+                        e.preventDefault();
+                        move(1);
+                        break;
+                    case KEY_UP:
+                        e.preventDefault();
+                        move(-1);
+                        break;
+                    case KEY_ENTER:
+                        if (active !== -1) {
+                            e.preventDefault();
+                            select(active);
+                        }
+                        break;
+                    case KEY_ESCAPE:
+                        close();
+                        break;
+                }
+            });
+            $input.on("keyup", function (e) {
+                if (e.which !== KEY_DOWN && e.which !== KEY_UP && e.which !== KEY_ENTER && e.which !== KEY_ESCAPE) {
+                    update();
+                }
+            });
+            $input.on("blur", close);
+
+            //mousedown fires before the input loses focus
+            $list.on("mousedown", "li", function (e) {
+                e.preventDefault();
+                select($(this).data("index"));
+            });
+        });
+    };
+
+    /*****
+     * @public
+     * $.fn.radixAutocomplete.defaults
+     * Default settings used by every autocomplete.
+     */
+    $.fn.radixAutocomplete.defaults = {
+        source: null,
+        limit: 10,
+        minLength: 1,
+        select: null,
+        listClass: "radix-autocomplete",
+        activeClass: "active",
+        matchClass: "match"
+    };
+
+    /*****
+     * @private
+     * normalize()
+     * The purpose of this function is to convert typed text the same
+     *   way the tree converts keys by default, lower case with
+     *   underscores. Used when the source has no normalize().
+     *
+     * @param
+     * value = mandatory, String typed into the input
+     */
+    function normalize(value) {
+        return value.toLowerCase().replace(/ /g, "_");
+    }
+
+    /*****
+     * @private
+     * display()
+     * The purpose of this function is to convert a keyword back into
+     *   readable text.
+     *
+     * @param
+     * keyword = mandatory, String keyword stored in the tree
+     */
+    function display(keyword) {
+        return keyword.replace(/_/g, " ");
+    }
+}(jQuery));
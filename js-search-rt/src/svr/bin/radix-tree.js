@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * radix-tree command line
+ * Builds tree files on the server and inspects them. Trees are built
+ *   with RadixTree.build() and exported with buildJSONString() or
+ *   buildCompactString(). Tree files of either format are read with
+ *   RadixTreeReader, so the same file the front end loads is queried.
+ *
+ * how to use:
+ *   radix-tree build <input> [--format csv|tsv|jsonl] [--header] [--key column] [--data column]
+ *     [--weight column] [--tokenize] [--export json|compact] [--minify] [--output file]
+ *     //input = file of key and data rows or - for stdin, the format defaults to the file extension
+ *     //columns are 0 based indexes or the names of the header row, jsonl columns are property names
+ *   radix-tree query <tree> <prefix> [--limit n]
+ *     //prints a JSON line {keyword, data} for every keyword starting with the prefix
+ *   radix-tree stats <tree>
+ *   radix-tree export <tree> --format json|compact [--minify] [--output file]
+ *     //tree = JSON tree file, compact files can only be queried
+ *   radix-tree diff <tree> <tree>
+ *     //prints "- keyword data" and "+ keyword data" lines for the keywords that differ
+ *
+ * exit status:
+ *   0 = success
+ *   1 = query found nothing or diff found differences
+ *   2 = invalid command, options or files
+ */
+var fs = require("fs"),
+    path = require("path"),
+    radixTrees = require("../index.js");
+
+var EXIT = {
+        SUCCESS: 0,
+        NOT_FOUND: 1,
+        ERROR: 2
+    },
+    FORMATS = {
+        ".csv": "csv",
+        ".tsv": "tsv",
+        ".tab": "tsv",
+        ".jsonl": "jsonl",
+        ".ndjson": "jsonl"
+    },
+    COMMANDS = {
+        build: build,
+        query: query,
+        stats: stats,
+        export: exportTree,
+        diff: diff
+    };
+
+/***************************************************************************
+ * Command Functions
+ */
+
+/*****
+ * @private
+ * build()
+ * The purpose of this function is to build a tree from the rows of the
+ *   input in a single pass and write its export.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * args = mandatory, Object of the parsed arguments
+ */
+function build(lib, args) {
+    var input = positional(args, 0, "input"),
+        format = args.options.format || FORMATS[path.extname(input).toLowerCase()],
+        rows,
+        radixTree;
+
+    if (!format) {
+        throw usage("can't tell the format of '" + input + "', pass --format csv|tsv|jsonl");
+    }
+    rows = parseRows(readInput(input), format);
+    radixTree = lib.RadixTree.build(pairs(rows, format, args.options), {
+        tokenize: !!args.options.tokenize,
+        logger: null
+    });
+    writeOutput(exportString(radixTree, args.options.export || "json", args.options.minify), args.options.output);
+    return EXIT.SUCCESS;
+}
+
+/*****
+ * @private
+ * query()
+ * The purpose of this function is to print every keyword of the tree
+ *   file starting with the prefix, one JSON line per keyword.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * args = mandatory, Object of the parsed arguments
+ */
+function query(lib, args) {
+    var reader = openReader(lib, positional(args, 0, "tree")),
+        results = reader.search(positional(args, 1, "prefix"), { limit: intOption(args.options, "limit") });
+
+    results.forEach(function (result) {
+        process.stdout.write(JSON.stringify({ keyword: result.keyword, data: result.data }) + "\n");
+    });
+    return results.length ? EXIT.SUCCESS : EXIT.NOT_FOUND;
+}
+
+/*****
+ * @private
+ * stats()
+ * The purpose of this function is to print the format, size and counts
+ *   of the tree file.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * args = mandatory, Object of the parsed arguments
+ */
+function stats(lib, args) {
+    var file = positional(args, 0, "tree"),
+        text = readInput(file),
+        source = parseTree(text, file),
+        reader = lib.RadixTreeReader(source);
+
+    process.stdout.write(JSON.stringify({
+        file: file,
+        format: source.format || "json",
+        version: source.version || 1,
+        bytes: Buffer.byteLength(text),
+        keywordCount: reader.keywordCount(),
+        dataCount: reader.dataCount()
+    }, null, 2) + "\n");
+    return EXIT.SUCCESS;
+}
+
+/*****
+ * @private
+ * exportTree()
+ * The purpose of this function is to convert a JSON tree file, restored
+ *   with RadixTree.fromJSON(), to either export format.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * args = mandatory, Object of the parsed arguments
+ */
+function exportTree(lib, args) {
+    var file = positional(args, 0, "tree"),
+        source = parseTree(readInput(file), file),
+        radixTree;
+
+    if (source.format === "compact") {
+        throw usage("'" + file + "' is compact, only JSON tree files can be exported");
+    }
+    radixTree = lib.RadixTree.fromJSON(source, { logger: null });
+    writeOutput(exportString(radixTree, args.options.format || "json", args.options.minify), args.options.output);
+    return EXIT.SUCCESS;
+}
+
+/*****
+ * @private
+ * diff()
+ * The purpose of this function is to compare the keywords and data of
+ *   two tree files of any format. Keywords only in the first file are
+ *   printed with "-", keywords only in the second with "+", and changed
+ *   keywords with both.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * args = mandatory, Object of the parsed arguments
+ */
+function diff(lib, args) {
+    var before = keywordMap(openReader(lib, positional(args, 0, "tree"))),
+        after = keywordMap(openReader(lib, positional(args, 1, "tree"))),
+        keywords = Object.keys(before).concat(Object.keys(after).filter(function (keyword) {
+            return !(keyword in before);
+        })).sort(),
+        changes = 0;
+
+    keywords.forEach(function (keyword) {
+        if (before[keyword] === after[keyword]) {
+            return;
+        }
+        if (keyword in before) {
+            process.stdout.write("- " + keyword + "\t" + before[keyword] + "\n");
+        }
+        if (keyword in after) {
+            process.stdout.write("+ " + keyword + "\t" + after[keyword] + "\n");
+        }
+        changes++;
+    });
+    return changes ? EXIT.NOT_FOUND : EXIT.SUCCESS;
+}
+
+/***************************************************************************
+ * Input Functions
+ */
+
+/*****
+ * @private
+ * parseRows()
+ * The purpose of this function is to split the input into rows. CSV
+ *   fields can be quoted to hold commas, quotes and line breaks, TSV
+ *   fields are split on every tab and JSON lines are parsed one line
+ *   at a time.
+ *
+ * @params
+ * text = mandatory, String input
+ * format = mandatory, String "csv", "tsv" or "jsonl"
+ */
+function parseRows(text, format) {
+    var lines = text.split(/\r?\n/),
+        rows = [];
+
+    if (format === "csv") {
+        return parseCSV(text);
+    }
+    if (format !== "tsv" && format !== "jsonl") {
+        throw usage("unknown format '" + format + "', expected csv, tsv or jsonl");
+    }
+    for (var i = 0, arrlen = lines.length; i < arrlen; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        if (format === "tsv") {
+            rows.push(lines[i].split("\t"));
+        } else {
+            try {
+                rows.push(JSON.parse(lines[i]));
+            } catch (e) {
+                throw usage("invalid JSON on line " + (i + 1) + ": " + e.message);
+            }
+        }
+    }
+    return rows;
+}
+
+/*****
+ * @private
+ * parseCSV()
+ * The purpose of this function is to split CSV into rows of fields.
+ *   Quoted fields hold commas and line breaks, and "" is a quote.
+ *
+ * @param
+ * text = mandatory, String CSV
+ */
+function parseCSV(text) {
+    var rows = [],
+        row = [],
+        field = "",
+        quoted = false,
+        chr;
+
+    for (var i = 0, arrlen = text.length; i < arrlen; i++) {
+        chr = text.charAt(i);
+        if (quoted) {
+            if (chr === "\"" && text.charAt(i + 1) === "\"") {
+                field += chr;
+                i++;
+            } else if (chr === "\"") {
+                quoted = false;
+            } else {
+                field += chr;
+            }
+        } else if (chr === "\"" && field === "") {
+            quoted = true;
+        } else if (chr === ",") {
+            row.push(field);
+            field = "";
+        } else if (chr === "\n" || chr === "\r") {
+            //\r\n ends a single row
+            if (chr === "\r" && text.charAt(i + 1) === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += chr;
+        }
+    }
+    if (quoted) {
+        throw usage("unterminated quoted CSV field");
+    }
+    if (field !== "" || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    //skip blank lines
+    return rows.filter(function (fields) {
+        return fields.length > 1 || fields[0] !== "";
+    });
+}
+
+/*****
+ * @private
+ * pairs()
+ * The purpose of this function is to turn the rows into the
+ *   [key, data, options] pairs of RadixTree.build(). CSV and TSV
+ *   columns are indexes or names of the header row, JSON lines columns
+ *   are property names.
+ *
+ * @params
+ * rows = mandatory, Array of the rows returned by parseRows()
+ * format = mandatory, String "csv", "tsv" or "jsonl"
+ * options = mandatory, Object of the parsed options
+ *   header = optional, Boolean the first CSV or TSV row names the columns
+ *   key, data, weight = optional, column of the key, data and weight
+ */
+function pairs(rows, format, options) {
+    var jsonl = format === "jsonl",
+        header = !jsonl && (options.header || [options.key, options.data, options.weight].some(isName)) ? rows.shift() : null,
+        key = column(header, options.key, jsonl ? "key" : 0),
+        data = column(header, options.data, jsonl ? "data" : 1),
+        weight = typeof options.weight === "undefined" ? null : column(header, options.weight);
+
+    return rows.map(function (row, i) {
+        var line = i + (header ? 2 : 1),
+            pair;
+
+        if (row === null || typeof row !== "object" || (jsonl && Array.isArray(row))) {
+            throw usage("row " + line + " isn't " + (jsonl ? "a JSON Object" : "a list of fields"));
+        }
+        if (!(key in row) || typeof row[key] === "undefined") {
+            throw usage("row " + line + " has no key column '" + key + "'");
+        }
+        pair = [String(row[key]), row[data]];
+        if (weight !== null) {
+            pair.push({ weight: Number(row[weight]) });
+        }
+        return pair;
+    });
+}
+
+/*****
+ * @private
+ * column()
+ * The purpose of this function is to resolve a column option to the
+ *   index or property it names.
+ *
+ * @params
+ * header = mandatory, String[] names of the columns or null
+ * value = optional, String index or name passed on the command line
+ * fallback = optional, column used when the option is missing
+ */
+function column(header, value, fallback) {
+    if (typeof value === "undefined" || value === true) {
+        return fallback;
+    }
+    if (!isName(value)) {
+        return parseInt(value, 10);
+    }
+    if (header && header.indexOf(value) === -1) {
+        throw usage("the header row has no column '" + value + "'");
+    }
+    return header ? header.indexOf(value) : value;
+}
+
+/*****
+ * @private
+ * isName()
+ * The purpose of this function is to tell column names from indexes.
+ *
+ * @param
+ * value = optional, String column option
+ */
+function isName(value) {
+    return typeof value === "string" && !/^\d+$/.test(value);
+}
+
+/***************************************************************************
+ * Tree File Functions
+ */
+
+/*****
+ * @private
+ * parseTree()
+ * The purpose of this function is to parse a tree file.
+ *
+ * @params
+ * text = mandatory, String content of the file
+ * file = mandatory, String name of the file used in errors
+ */
+function parseTree(text, file) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw usage("'" + file + "' isn't a tree file: " + e.message);
+    }
+}
+
+/*****
+ * @private
+ * openReader()
+ * The purpose of this function is to open a tree file of either export
+ *   format read-only.
+ *
+ * @params
+ * lib = mandatory, Object holding RadixTree and RadixTreeReader
+ * file = mandatory, String path of the tree file or - for stdin
+ */
+function openReader(lib, file) {
+    return lib.RadixTreeReader(parseTree(readInput(file), file));
+}
+
+/*****
+ * @private
+ * keywordMap()
+ * The purpose of this function is to map every keyword of the tree to
+ *   its data as JSON, so keywords are compared by value.
+ *
+ * @param
+ * reader = mandatory, RadixTreeReader of the tree file
+ */
+function keywordMap(reader) {
+    var map = Object.create(null);
+
+    reader.forEach(function (keyword, data) {
+        map[keyword] = JSON.stringify(data);
+    });
+    return map;
+}
+
+/*****
+ * @private
+ * exportString()
+ * The purpose of this function is to export the tree in the format.
+ *
+ * @params
+ * radixTree = mandatory, RadixTree to export
+ * format = mandatory, String "json" or "compact"
+ * minify = optional, Boolean leaving out the indentation of the JSON
+ */
+function exportString(radixTree, format, minify) {
+    if (format === "json") {
+        return radixTree.buildJSONString({ minify: !!minify });
+    }
+    if (format === "compact") {
+        return radixTree.buildCompactString();
+    }
+    throw usage("unknown export format '" + format + "', expected json or compact");
+}
+
+/***************************************************************************
+ * Utility Functions
+ */
+
+/*****
+ * @private
+ * parseArgs()
+ * The purpose of this function is to split the arguments into the
+ *   command, positional arguments and --name value options. Options
+ *   without a value are true.
+ *
+ * @param
+ * argv = mandatory, String[] arguments after the script
+ */
+function parseArgs(argv) {
+    var args = { command: argv[0], positional: [], options: {} },
+        flags = ["header", "tokenize", "minify"];
+
+    for (var i = 1, arrlen = argv.length; i < arrlen; i++) {
+        var name = /^--(.+)$/.exec(argv[i]);
+
+        if (!name) {
+            args.positional.push(argv[i]);
+        } else if (flags.indexOf(name[1]) !== -1) {
+            args.options[name[1]] = true;
+        } else if (i + 1 < arrlen) {
+            args.options[name[1]] = argv[++i];
+        } else {
+            throw usage("--" + name[1] + " needs a value");
+        }
+    }
+    return args;
+}
+
+/*****
+ * @private
+ * positional()
+ * The purpose of this function is to get a mandatory positional argument.
+ *
+ * @params
+ * args = mandatory, Object of the parsed arguments
+ * i = mandatory, int position of the argument after the command
+ * name = mandatory, String name of the argument used in errors
+ */
+function positional(args, i, name) {
+    if (typeof args.positional[i] === "undefined") {
+        throw usage(args.command + " needs a " + name);
+    }
+    return args.positional[i];
+}
+
+/*****
+ * @private
+ * intOption()
+ * The purpose of this function is to get an option holding a positive int.
+ *
+ * @params
+ * options = mandatory, Object of the parsed options
+ * name = mandatory, String name of the option
+ */
+function intOption(options, name) {
+    var value = Number(options[name]);
+
+    if (typeof options[name] === "undefined") {
+        return undefined;
+    }
+    if (!(value > 0) || value % 1 !== 0) {
+        throw usage("--" + name + " must be a positive int");
+    }
+    return value;
+}
+
+/*****
+ * @private
+ * readInput()
+ * The purpose of this function is to read a file, - reads stdin.
+ *
+ * @param
+ * file = mandatory, String path of the file
+ */
+function readInput(file) {
+    try {
+        return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+    } catch (e) {
+        throw usage("can't read '" + file + "': " + e.message);
+    }
+}
+
+/*****
+ * @private
+ * writeOutput()
+ * The purpose of this function is to write the export to the file or
+ *   to stdout.
+ *
+ * @params
+ * text = mandatory, String export
+ * file = optional, String path of the file
+ */
+function writeOutput(text, file) {
+    if (typeof file === "undefined") {
+        process.stdout.write(text + "\n");
+    } else {
+        fs.writeFileSync(file, text);
+    }
+}
+
+/*****
+ * @private
+ * usage()
+ * The purpose of this function is to create the error reported for
+ *   invalid commands, options and files.
+ *
+ * @param
+ * message = mandatory, String explaining the error
+ */
+function usage(message) {
+    return new Error(message);
+}
+
+/*****
+ * @private
+ * main()
+ * The purpose of this function is to run the command and set the exit
+ *   status. Errors thrown by the tree, like invalid tree files, are
+ *   reported the same way as invalid arguments.
+ *
+ * @param
+ * argv = mandatory, String[] arguments after the script
+ */
+function main(argv) {
+    try {
+        var args = parseArgs(argv);
+
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, args.command)) {
+            throw usage(args.command ? "unknown command '" + args.command + "'" :
+                "usage: radix-tree build|query|stats|export|diff ...");
+        }
+        process.exitCode = COMMANDS[args.command]({
+            RadixTree: radixTrees.flavor(),
+            RadixTreeReader: radixTrees.RadixTreeReader
+        }, args);
+    } catch (e) {
+        process.stderr.write("radix-tree: " + e.message + "\n");
+        process.exitCode = EXIT.ERROR;
+    }
+}
+
+main(process.argv.slice(2));
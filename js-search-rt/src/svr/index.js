@@ -0,0 +1,103 @@
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * RadixTree module
+ * Entry point for Node and bundlers. The prototypal, classical and
+ *   closure implementations behave the same and are loaded side by side,
+ *   the factory creates a tree of the chosen flavor. ES modules import
+ *   the same entry point from index.mjs.
+ *
+ * how to use:
+ *   var radixTrees = require("[path]/src/svr");
+ *   var [object_name] = radixTrees.create({
+ *     flavor: "closure" //prototypal (default), classical or closure
+ *     //optional properties of the tree
+ *     ,keySwap: {key:swap_key}
+ *   });
+ *
+ *   //statics of a flavor, RadixTree.build(), RadixTree.fromJSON(), RadixTree.STATUS...
+ *   var RadixTree = radixTrees.flavor("classical");
+ *
+ *   import { create, flavor, RadixTreeReader } from "[path]/src/svr/index.mjs";
+ */
+var MODULES = {
+        prototypal: require("./js/RadixTree.js"),
+        classical: require("./js/RadixTreeClassical.js"),
+        closure: require("./js/RadixTreeClosure.js")
+    },
+    FLAVORS = Object.freeze(Object.keys(MODULES)),
+    DEFAULT_FLAVOR = "prototypal";
+
+/*****
+ * @public
+ * flavor()
+ * The purpose of this function is to get the RadixTree of a flavor,
+ *   to reach its statics.
+ *
+ * @param
+ * name = optional, String "prototypal", "classical" or "closure", defaults to "prototypal"
+ */
+function flavor(name) {
+    return flavorModule(name).RadixTree;
+}
+
+/*****
+ * @public
+ * create()
+ * The purpose of this function is to create an empty tree of the
+ *   flavor. Every flavor takes its optional properties differently, so
+ *   the tree is built by RadixTree.build() from no pairs.
+ *
+ * @param
+ * options = optional, Object with the optional properties of the tree
+ *   flavor = optional, String "prototypal", "classical" or "closure", defaults to "prototypal"
+ */
+function create(options) {
+    options = options || {};
+    return flavor(options.flavor).build([], options);
+}
+
+/*****
+ * @public
+ * errorType()
+ * The purpose of this function is to get the RadixTreeError of a
+ *   flavor, thrown by strict trees, for instanceof checks.
+ *
+ * @param
+ * name = optional, String "prototypal", "classical" or "closure", defaults to "prototypal"
+ */
+function errorType(name) {
+    return flavorModule(name).RadixTreeError;
+}
+
+/*****
+ * @private
+ * flavorModule()
+ * The purpose of this function is to get the exports of the
+ *   implementation of a flavor.
+ *
+ * @param
+ * name = optional, String "prototypal", "classical" or "closure", defaults to "prototypal"
+ */
+function flavorModule(name) {
+    name = typeof name === "undefined" ? DEFAULT_FLAVOR : name;
+
+    if (!Object.prototype.hasOwnProperty.call(MODULES, name)) {
+        throw new TypeError("RadixTree: unknown flavor '" + name + "', expected " + FLAVORS.join(", "));
+    }
+    return MODULES[name];
+}
+
+module.exports = {
+    FLAVORS: FLAVORS,
+    DEFAULT_FLAVOR: DEFAULT_FLAVOR,
+    create: create,
+    flavor: flavor,
+    errorType: errorType,
+    RadixTreeReader: require("../com/js/RadixTreeReader.js").RadixTreeReader
+};
@@ -0,0 +1,22 @@
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * RadixTree ES module
+ * Same exports as the CommonJS entry point index.js.
+ *
+ * how to use:
+ *   import { create, flavor, RadixTreeReader } from "[path]/src/svr/index.mjs";
+ *   var [object_name] = create({flavor: "closure"});
+ */
+import radixTrees from "./index.js";
+
+export var FLAVORS = radixTrees.FLAVORS;
+export var DEFAULT_FLAVOR = radixTrees.DEFAULT_FLAVOR;
+export var create = radixTrees.create;
+export var flavor = radixTrees.flavor;
+export var errorType = radixTrees.errorType;
+export var RadixTreeReader = radixTrees.RadixTreeReader;
+export default radixTrees;
@@ -12,6 +12,23 @@
  *   var [object_name] = new RadixTree();
  *     //optional properties
  *     [object_name].keySwap = {key:swap_key};
+ *     [object_name].equality = "deep"; // "deep", "identity" or function(a, b)
+ *     [object_name].dataId = function(data) { return data.id; };
+ *     [object_name].strict = true; // throw RadixTreeError when remove() fails
+ *     [object_name].logger = function(message, result) {}; // null to stay silent
+ *     [object_name].tokenize = true; // or function(key) returning the tokens of the key
+ *     [object_name].stopWords = ["the", "of"];
+ *     [object_name].normalizers = ["diacritics", "lowercase", "punctuation", "whitespace", "underscore"];
+ *     [object_name].persistent = true; // copy the nodes along the key instead of changing them, see snapshot()
+ *
+ *   //handlers called after the tree changes, see on()
+ *   [object_name].on("insert", function(event) {});
+ *
+ *   //record the changes to build patches between revisions, see trackChanges()
+ *   [object_name].trackChanges();
+ *
+ *   //apply changes together or not at all, see transaction()
+ *   [object_name].transaction(function() {});
  *
  */
 function RadixTree() {
@@ -20,6 +37,139 @@ function RadixTree() {
     this.tree = {};
 }
 
+/*****
+ * @public
+ * RadixTree.STATUS
+ * The status codes of the Result objects returned by insert() and remove().
+ */
+RadixTree.STATUS = Object.freeze({
+    INSERTED: "INSERTED",
+    DATA_INSERTED: "DATA_INSERTED",
+    REMOVED: "REMOVED",
+    KEY_NOT_FOUND: "KEY_NOT_FOUND",
+    SUFFIX_MATCH: "SUFFIX_MATCH",
+    PARTIAL_MATCH: "PARTIAL_MATCH",
+    DATA_NOT_FOUND: "DATA_NOT_FOUND"
+});
+
+/*****
+ * @public
+ * RadixTree.EVENTS
+ * The types of the events emitted to the handlers added by on().
+ */
+RadixTree.EVENTS = Object.freeze(["insert", "remove", "split", "clear"]);
+
+/*****
+ * @public
+ * RadixTree.STOP_WORDS
+ * The tokens skipped by default when the tokenize option is set.
+ */
+RadixTree.STOP_WORDS = Object.freeze(["a", "an", "and", "of", "the"]);
+
+/*****
+ * @public
+ * RadixTree.NORMALIZERS
+ * The built-in key normalizers used by name in the normalizers option.
+ *   lowercase = lower case the key
+ *   diacritics = Unicode NFKD decomposition without the accents
+ *   punctuation = remove punctuation
+ *   whitespace = collapse whitespace into single spaces and trim
+ *   numbers = replace number words with digits, "three hundred" becomes "300"
+ *   underscore = convert spaces to underscores
+ */
+RadixTree.NORMALIZERS = Object.freeze({
+    lowercase: function lowercase(key) {
+        return key.toLowerCase();
+    },
+    diacritics: function diacritics(key) {
+        //decompose characters and drop the combining marks, "Am\u00e9lie" becomes "Amelie"
+        return key.normalize ? key.normalize("NFKD").replace(/[\u0300-\u036f]/g, "") : key;
+    },
+    punctuation: function punctuation(key) {
+        //underscores are kept since they separate words
+        return key.replace(/[!-\/:-@\[-\^`{-~\u00a1\u00bf\u2010-\u2027]/g, "");
+    },
+    whitespace: function whitespace(key) {
+        return key.replace(/\s+/g, " ").replace(/^ | $/g, "");
+    },
+    numbers: function numbers(key) {
+        //number words joined by spaces, underscores or hyphens make one
+        //number, "three hundred" becomes "300" and "twenty-one" becomes "21"
+        return key.replace(/[a-z]+(?:[ _-]+[a-z]+)*/gi, function (words) {
+            var parts = words.split(/([ _-]+)/),
+                result = "",
+                separator = "",
+                total = 0,
+                current = -1;
+
+            for (var i = 0, arrlen = parts.length; i < arrlen; i += 2) {
+                var word = RadixTree.NUMBER_WORDS[parts[i].toLowerCase()],
+                    value = typeof word === "undefined" ? -1 : Number(word);
+
+                //hundreds multiply the units, teens and tens before them
+                if (value === 100 && current > 0 && current < 100) {
+                    current *= 100;
+                //thousands multiply the number before them once
+                } else if (value === 1000 && total === 0 && current > 0 && current < 1000) {
+                    total = current * 1000;
+                    current = 0;
+                //units, teens and tens follow hundreds and thousands, units follow tens
+                } else if ((value > 0 && value < 100 && (total > 0 || current > 0) && current % 100 === 0) ||
+                        (value > 0 && value < 10 && current % 100 >= 20 && current % 10 === 0)) {
+                    current += value;
+                } else {
+                    if (current !== -1) {
+                        result += (total + current) + separator;
+                    }
+                    if (value === -1) {
+                        result += parts[i] + (parts[i + 1] || "");
+                    }
+                    total = 0;
+                    current = value;
+                }
+                separator = parts[i + 1] || "";
+            }
+            return current === -1 ? result : result + (total + current) + separator;
+        });
+    },
+    underscore: function underscore(key) {
+        return key.replace(/ /g,"_");
+    }
+});
+
+/*****
+ * @public
+ * RadixTree.DEFAULT_NORMALIZERS
+ * The normalizers used when the normalizers option isn't set.
+ */
+RadixTree.DEFAULT_NORMALIZERS = Object.freeze(["lowercase", "underscore"]);
+
+/*****
+ * @public
+ * RadixTree.RANKING
+ * The default weight of inserted data and the default scoring options
+ *   of rankedSearch().
+ */
+RadixTree.RANKING = Object.freeze({
+    weight: 1,
+    exactBoost: 2,
+    wordBoost: 1.5,
+    lengthPenalty: 0.05
+});
+
+/*****
+ * @public
+ * RadixTree.NUMBER_WORDS
+ * The number words replaced by the numbers normalizer.
+ */
+RadixTree.NUMBER_WORDS = Object.freeze({
+    zero: "0", one: "1", two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7",
+    eight: "8", nine: "9", ten: "10", eleven: "11", twelve: "12", thirteen: "13",
+    fourteen: "14", fifteen: "15", sixteen: "16", seventeen: "17", eighteen: "18",
+    nineteen: "19", twenty: "20", thirty: "30", forty: "40", fifty: "50", sixty: "60",
+    seventy: "70", eighty: "80", ninety: "90", hundred: "100", thousand: "1000"
+});
+
 /***************************************************************************
  * SearchCore Object prototype functions
  **************************************************************************/
@@ -39,16 +189,35 @@ function RadixTree() {
  * @params
  * key = mandatory, new key String used to insert new node and/or new data
  * data = mandatory, new "data" to attach to new/exiting node
+ * options = optional, Object used to configure the insert
+ *   weight = optional, Number of at least 0 used by rankedSearch(), defaults to RadixTree.RANKING.weight
+ *
+ * @returns
+ * Result object with the status from RadixTree.STATUS, the processed key
+ *   and the amount of keywords and data affected. A persistent tree
+ *   adds the snapshot of the tree after the insert.
  */
-RadixTree.prototype.insert = function insert(key, data) {
+RadixTree.prototype.insert = function insert(key, data, options) {
     var index = new Index(this.tree),
         callbacks = new Callbacks(this._createNode, this._createNode, this._insertData, this._splitNode);
 
+    index.weight = this._weightOption(options);
+
+    this._assertWritable();
+
     //process key
     key = this._processKey(key);
 
-    //start recursive insert
-    this._traverse(key, data, index, callbacks);
+    //if tokenizing, insert data under every token of the key
+    if (this.tokenize) {
+        return this._emitEvents(this._snapshotResult(this._insertTokens(key, data, index.weight)));
+    }
+
+    //start recursive insert, then update the max weights along the key
+    index.node = this._copyPath(key);
+    var result = this._traverse(key, data, index, callbacks);
+    this._updateMaxWeights(key);
+    return this._emitEvents(this._snapshotResult(result));
 }
 
 /*****
@@ -63,12 +232,21 @@ RadixTree.prototype.insert = function insert(key, data) {
  * index = mandatory, Index object used to provide info of the tree
  */
 RadixTree.prototype._insertData = function _insertData(key, data, index) {
+    //if node contains data, add data
     if (index.node.$ && index.node.$.length) {
         index.node.$.push(data);
-    } else {
-        index.node.$ = [data];
+        this._nodeWeights(index.node).push(index.weight);
+        this.dataCount++;
+        this._queueInsert(key, data, index.weight, false);
+        return new Result(RadixTree.STATUS.DATA_INSERTED, key, 0, 1);
     }
+    //else node was only splitting keys, so it becomes a keyword
+    index.node.$ = [data];
+    this._nodeWeights(index.node, [index.weight]);
+    this.keywordCount++;
     this.dataCount++;
+    this._queueInsert(key, data, index.weight, true);
+    return new Result(RadixTree.STATUS.INSERTED, key, 1, 1);
 }
 
 /*****
@@ -83,12 +261,12 @@ RadixTree.prototype._insertData = function _insertData(key, data, index) {
  * index = mandatory, Index object used to provide info of the tree
  */
 RadixTree.prototype._createNode = function _createNode(key, data, index) {
-    if (index.ttlCharsMatch !== 0) {
-        key = key.substr(index.ttlCharsMatch);
-    }
-    index.node[key] = {$:[data]};
+    //new node key is the part of the key that didn't match
+    this._addChild(index.node, key.substr(index.ttlCharsMatch), this._dataNode(data, index.weight));
     this.keywordCount++;
     this.dataCount++;
+    this._queueInsert(key, data, index.weight, true);
+    return new Result(RadixTree.STATUS.INSERTED, key, 1, 1);
 }
 
 /*****
@@ -105,26 +283,285 @@ RadixTree.prototype._splitNode = function _splitNode(key, data, index) {
     //create new key for existing content
     var i = index.ttlCharsMatch - index.charsMatch,
         tempKey = "",
-        tempIndexKey = index.nodeKey.substr(index.charsMatch);
+        tempIndexKey = index.nodeKey.substr(index.charsMatch),
+        existing = this._childNode(index.node, index.nodeKey);
     tempKey = key.substr(i, index.charsMatch);
 
+    //delete existing node, the new node starts with the same character
+    this._deleteChild(index.node, index.nodeKey);
+
     //add new node to existing index
     if (index.ttlCharsMatch === key.length) {
-        index.node[tempKey] = {$:[data]};
+        this._addChild(index.node, tempKey, this._dataNode(data, index.weight));
     //add new nodes to existing index
     } else {
         var str = key.substr(index.ttlCharsMatch);
-        index.node[tempKey] = {};
-        index.node[tempKey][str] = {$:[data]};
+        this._addChild(index.node, tempKey, {});
+        this._addChild(this._childNode(index.node, tempKey), str, this._dataNode(data, index.weight));
     }
 
     //append existing content to new node
-    index.node[tempKey][tempIndexKey] = index.node[index.nodeKey];
-
-    //delete existing node
-    delete index.node[index.nodeKey];
+    this._addChild(this._childNode(index.node, tempKey), tempIndexKey, existing);
     this.keywordCount++;
     this.dataCount++;
+    this._queueSplit(key, index);
+    this._queueInsert(key, data, index.weight, true);
+    return new Result(RadixTree.STATUS.INSERTED, key, 1, 1);
+}
+
+/*****
+ * @private
+ * _insertTokens()
+ * The purpose of this function is to insert a document holding the
+ *   key and data under every token of the key, so the key can be
+ *   found by any of its words.
+ *
+ * @params
+ * key = mandatory, processed key String to tokenize
+ * data = mandatory, new "data" to attach to the document
+ * weight = mandatory, Number weight of the document
+ */
+RadixTree.prototype._insertTokens = function _insertTokens(key, data, weight) {
+    var doc = { key: key, data: data },
+        tokens = this._tokens(key),
+        result = new Result(RadixTree.STATUS.DATA_INSERTED, key, 0, 0);
+
+    //insert document under every token
+    for (var i = 0, arrlen = tokens.length; i < arrlen; i++) {
+        var index = new Index(this._copyPath(tokens[i])),
+            callbacks = new Callbacks(this._createNode, this._createNode, this._insertData, this._splitNode),
+            tokenResult;
+
+        index.weight = weight;
+
+        tokenResult = this._traverse(tokens[i], doc, index, callbacks);
+        this._updateMaxWeights(tokens[i]);
+
+        result.keywordsAffected += tokenResult.keywordsAffected;
+        result.dataAffected += tokenResult.dataAffected;
+    }
+
+    if (result.keywordsAffected) {
+        result.status = RadixTree.STATUS.INSERTED;
+    }
+    return result;
+}
+
+/*****
+ * @public
+ * RadixTree.build()
+ * The purpose of this function is to create a tree from a whole
+ *   dataset in a single pass, for nightly rebuilds of large catalogs,
+ *   see insertMany(). Datasets already sorted by key skip the sort.
+ *
+ * how to use:
+ *   var [object_name] = RadixTree.build(sortedPairs, {keySwap: {key:swap_key}});
+ *
+ * @params
+ * pairs = mandatory, Array or iterable of [key, data] or [key, data, options] pairs
+ * options = optional, Object with the optional properties of the tree
+ */
+RadixTree.build = function build(pairs, options) {
+    var settings = ["keySwap", "equality", "dataId", "strict", "logger", "tokenize", "stopWords", "normalizers", "persistent"],
+        radixTree = new RadixTree();
+
+    options = options || {};
+    for (var i = 0, arrlen = settings.length; i < arrlen; i++) {
+        if (options.hasOwnProperty(settings[i])) {
+            radixTree[settings[i]] = options[settings[i]];
+        }
+    }
+    radixTree.insertMany(pairs);
+    return radixTree;
+}
+
+/*****
+ * @public
+ * insertMany()
+ * The purpose of this function is to insert a batch of keys and data.
+ *   The keys are processed and sorted once, then an empty tree is
+ *   built bottom up in a single pass with the counts updated once.
+ *   A tree that isn't empty gets the keys inserted in sorted order.
+ *
+ * how to use:
+ *   [object_name].insertMany([["Iron Man", "Blu-ray"], ["Thor", "DVD", {weight: 2}]]);
+ *
+ * @param
+ * pairs = mandatory, Array or iterable of [key, data] or [key, data, options] pairs, options as in insert()
+ *
+ * @returns
+ * Result object with the status from RadixTree.STATUS and the amount
+ *   of keywords and data affected. A persistent tree adds the snapshot
+ *   of the tree after the inserts.
+ */
+RadixTree.prototype.insertMany = function insertMany(pairs) {
+    var entries,
+        result = new Result(RadixTree.STATUS.DATA_INSERTED, null, 0, 0);
+
+    this._assertWritable();
+    entries = this._bulkEntries(pairs);
+
+    //an empty tree is built bottom up
+    if (this._isEmpty(this.tree)) {
+        this.tree = this._buildTree(entries, result);
+        //the tree is built without the callbacks queueing the events
+        for (var j = 0, entrylen = entries.length; j < entrylen; j++) {
+            this._queueInsert(entries[j].key, entries[j].data, entries[j].weight, j === 0 || entries[j - 1].key !== entries[j].key);
+        }
+    //else insert the keys one at a time
+    } else {
+        for (var i = 0, arrlen = entries.length; i < arrlen; i++) {
+            var index = new Index(this._copyPath(entries[i].key)),
+                callbacks = new Callbacks(this._createNode, this._createNode, this._insertData, this._splitNode),
+                entryResult;
+
+            index.weight = entries[i].weight;
+
+            entryResult = this._traverse(entries[i].key, entries[i].data, index, callbacks);
+            this._updateMaxWeights(entries[i].key);
+
+            result.keywordsAffected += entryResult.keywordsAffected;
+            result.dataAffected += entryResult.dataAffected;
+        }
+    }
+
+    if (result.keywordsAffected) {
+        result.status = RadixTree.STATUS.INSERTED;
+    }
+    return this._emitEvents(this._snapshotResult(result));
+}
+
+/*****
+ * @private
+ * _bulkEntries()
+ * The purpose of this function is to process the keys of a batch and
+ *   sort them. Tokenized trees get an entry for every token of the
+ *   key, holding the same document. Datasets already sorted by key
+ *   skip the sort, and equal keys keep the order of the pairs.
+ *
+ * @param
+ * pairs = mandatory, Array or iterable of [key, data] or [key, data, options] pairs
+ */
+RadixTree.prototype._bulkEntries = function _bulkEntries(pairs) {
+    var entries = [],
+        sorted = true,
+        iterator,
+        step;
+
+    //iterables are read into an Array first
+    if (!Array.isArray(pairs)) {
+        iterator = typeof Symbol !== "undefined" && pairs[Symbol.iterator] ? pairs[Symbol.iterator]() : pairs;
+        pairs = [];
+        while (!(step = iterator.next()).done) {
+            pairs.push(step.value);
+        }
+    }
+
+    for (var i = 0, arrlen = pairs.length; i < arrlen; i++) {
+        if (!Array.isArray(pairs[i])) {
+            throw new TypeError("RadixTree: insertMany() expects [key, data] pairs");
+        }
+        var key = this._processKey(pairs[i][0]),
+            weight = this._weightOption(pairs[i][2]),
+            keys = this.tokenize ? this._tokens(key) : [key],
+            data = this.tokenize ? { key: key, data: pairs[i][1] } : pairs[i][1];
+
+        for (var j = 0, keylen = keys.length; j < keylen; j++) {
+            if (entries.length && entries[entries.length - 1].key > keys[j]) {
+                sorted = false;
+            }
+            entries.push({ key: keys[j], data: data, weight: weight, position: entries.length });
+        }
+    }
+
+    if (!sorted) {
+        entries.sort(function (a, b) {
+            return a.key < b.key ? -1 : (a.key > b.key ? 1 : a.position - b.position);
+        });
+    }
+    return entries;
+}
+
+/*****
+ * @private
+ * _buildTree()
+ * The purpose of this function is to build a tree bottom up from
+ *   sorted entries without walking it from the root for every key.
+ *   Keys sharing the character after the prefix of a node are next
+ *   to each other, so every group becomes a child whose node key is
+ *   the prefix its first and last keys share. The max weights are
+ *   annotated and the counts updated once at the end.
+ *
+ * @params
+ * entries = mandatory, Object[] sorted by _bulkEntries()
+ * result = mandatory, Result object counting the keywords and data affected
+ */
+RadixTree.prototype._buildTree = function _buildTree(entries, result) {
+    var tree = {},
+        nodes = [tree],
+        work = [{ node: tree, start: 0, end: entries.length, depth: 0 }];
+
+    while (work.length) {
+        var item = work.pop(),
+            i = item.start;
+
+        //keys ending at this node come first
+        while (i < item.end && entries[i].key.length === item.depth) {
+            if (!item.node.$) {
+                item.node.$ = [];
+                this._nodeWeights(item.node, []);
+                result.keywordsAffected++;
+            }
+            item.node.$.push(entries[i].data);
+            this._nodeWeights(item.node).push(entries[i].weight);
+            result.dataAffected++;
+            i++;
+        }
+
+        //group the other keys by their next character
+        while (i < item.end) {
+            var chr = entries[i].key.charAt(item.depth),
+                end = i + 1,
+                child = {},
+                depth;
+
+            while (end < item.end && entries[end].key.charAt(item.depth) === chr) {
+                end++;
+            }
+            depth = this._sharedLength(entries[i].key, entries[end - 1].key);
+            this._addChild(item.node, entries[i].key.substring(item.depth, depth), child);
+            nodes.push(child);
+            work.push({ node: child, start: i, end: end, depth: depth });
+            i = end;
+        }
+    }
+
+    //children are created after their parents, so annotate from the last node up
+    for (var j = nodes.length - 1; j >= 0; j--) {
+        Object.defineProperty(nodes[j], "$maxWeight", { value: this._subtreeMaxWeight(nodes[j]), writable: true, configurable: true });
+    }
+    this.keywordCount += result.keywordsAffected;
+    this.dataCount += result.dataAffected;
+    return tree;
+}
+
+/*****
+ * @private
+ * _sharedLength()
+ * The purpose of this function is to get the length of the prefix
+ *   two keys share.
+ *
+ * @params
+ * a = mandatory, String key
+ * b = mandatory, String key
+ */
+RadixTree.prototype._sharedLength = function _sharedLength(a, b) {
+    var i = 0;
+
+    while (i < a.length && a.charAt(i) === b.charAt(i)) {
+        i++;
+    }
+    return i;
 }
 
 /***************************************************************************
@@ -141,16 +578,35 @@ RadixTree.prototype._splitNode = function _splitNode(key, data, index) {
  * @params
  * key = mandatory, signifies key String to remove
  * data = optional, if no "data" is passed, node will be removed
+ *
+ * @returns
+ * Result object with the status from RadixTree.STATUS, the processed key
+ *   and the amount of keywords and data affected. A persistent tree
+ *   adds the snapshot of the tree after the removal. In strict mode a
+ *   RadixTreeError is thrown instead of returning a failed Result.
  */
 RadixTree.prototype.remove = function remove(key, data) {
     var index = new Index(this.tree),
         callbacks = new Callbacks(this._removeError, this._removeError, this._removeData, this._removeError);
 
+    //if no data was passed, the entire node is removed
+    index.removeNode = arguments.length < 2;
+
+    this._assertWritable();
+
     //process key
     key = this._processKey(key);
 
-    //start recursive removal
-    this._traverse(key, data, index, callbacks);
+    //if tokenizing, remove data from every token of the key
+    if (this.tokenize) {
+        return this._emitEvents(this._snapshotResult(this._removeTokens(key, data, arguments.length < 2)));
+    }
+
+    //start recursive removal, then update the max weights along the key
+    index.node = this._copyPath(key);
+    var result = this._traverse(key, data, index, callbacks);
+    this._updateMaxWeights(key);
+    return this._emitEvents(this._snapshotResult(result));
 }
 
 /*****
@@ -162,45 +618,58 @@ RadixTree.prototype.remove = function remove(key, data) {
  *
  * @params
  * key = mandatory, existing key String used to remove either key or data
- * data = mandatory, existing "data" used to delete or "undefined" to delete entire node
+ * data = mandatory, existing "data" used to delete, ignored when deleting entire node
  * index = mandatory, Index object used to provide info of the tree
  */
 RadixTree.prototype._removeData = function _removeData(key, data, index) {
-    //if data is undefined, delete node
-    if (typeof data === "undefined") {
+    var result,
+        removed;
+
+    //if node doesn't contain data, it only splits other keys
+    if (!index.node.$) {
+        return this._report(new Result(RadixTree.STATUS.KEY_NOT_FOUND, key, 0, 0), "Removal failed. key: '" + key + "' doesn't exist");
+    }
+
+    //if no data was passed, delete node
+    if (index.removeNode) {
+        result = new Result(RadixTree.STATUS.REMOVED, key, 1, index.node.$.length);
         this.dataCount = this.dataCount - index.node.$.length;
+        removed = index.node.$;
         delete index.node.$;
+        delete index.node.$weights;
         this.keywordCount--;
     //else delete data
     } else {
-        var testData = JSON.stringify(data);
-
         //find matching data
-        for (var i = 0, arrlen = index.node.$.length; i < arrlen; i++) {
-            if (testData === JSON.stringify(index.node.$[i])) {
-                break;
-            }
+        var i = this._indexOfData(index.node.$, data);
+
+        //if match isn't found, report that data doesn't exist
+        if (i === -1) {
+            return this._report(new Result(RadixTree.STATUS.DATA_NOT_FOUND, key, 0, 0), "Removal failed. Key: '" + key + "' matched but cound not find matching data to remove.");
         }
 
-        //if match is found, remove data
-        if (i < arrlen) {
-            index.node.$.splice(i,1);
-            this.dataCount--;
-            //if data is empty, perform additional cleanup of node
-            if (index.node.$.length === 0) {
-                delete index.node.$;
-                this.keywordCount--;
-            }
-        //else log error that data doesn't exist
-        } else {
-            console.log("Removal failed. Key: '" + key + "' matched but cound not find matching data to remove.");
+        //remove data and its weight
+        this._nodeWeights(index.node).splice(i,1);
+        removed = index.node.$.splice(i,1);
+        this.dataCount--;
+        result = new Result(RadixTree.STATUS.REMOVED, key, 0, 1);
+        //if data is empty, perform additional cleanup of node
+        if (index.node.$.length === 0) {
+            delete index.node.$;
+            delete index.node.$weights;
+            this.keywordCount--;
+            result.keywordsAffected = 1;
         }
     }
 
+    //the path is found before the empty nodes are removed
+    this._queueRemove(key, removed, result.keywordsAffected === 1);
+
     //if node is empty, remove empty nodes
     if (this._isEmpty(index.node)) {
         this._removeEmptyParents(index.parents);
     }
+    return result;
 }
 
 /*****
@@ -218,10 +687,13 @@ RadixTree.prototype._removeEmptyParents = function _removeEmptyParents(parents)
     parents.reverse();
     //check parents for empty nodes
     for (var i = 0, arrlen = parents.length; i < arrlen; i++) {
-        for (var str in parents[i]) {
+        //copy the keys since deleting a child changes them
+        var children = this._sortedKeys(parents[i]).slice();
+
+        for (var j = 0, keylen = children.length; j < keylen; j++) {
             //if node is empty, delete it
-            if (this._isEmpty(parents[i][str])) {
-                delete parents[i][str];
+            if (this._isEmpty(this._childNode(parents[i], children[j]))) {
+                this._deleteChild(parents[i], children[j]);
             }
         }
     }
@@ -240,177 +712,3189 @@ RadixTree.prototype._removeEmptyParents = function _removeEmptyParents(parents)
  * index = mandatory, Index object used to provide info of the tree
  */
 RadixTree.prototype._removeError = function _removeError(key, data, index) {
+    var status,
+        message;
+
     switch(true) {
         //if key doesn't exist
         case (index.ttlCharsMatch === 0):
-            console.log("Removal failed. key: '" + key + "' doesn't exist");
+            status = RadixTree.STATUS.KEY_NOT_FOUND;
+            message = "Removal failed. key: '" + key + "' doesn't exist";
             break;
         //if key contains suffix of index.nodeKey
-        case (index.ttlCharsMatch < key.length):
-            console.log("Removal failed. key: '" + key + "' contains a suffix of a matching key: '" + key.substr(0, index.ttlCharsMatch) + "'");
+        case (index.ttlCharsMatch < key.length && index.charsMatch === index.nodeKey.length):
+            status = RadixTree.STATUS.SUFFIX_MATCH;
+            message = "Removal failed. key: '" + key + "' contains a suffix of a matching key: '" + key.substr(0, index.ttlCharsMatch) + "'";
             break;
         //if key exists
-        case (index.ttlCharsMatch > 0):
-            console.log("Removal failed. key: '" + key + "' has a partial match until here: '" + key.substr(0, index.ttlCharsMatch) + "'. Check spelling and try removal again");
-            break;
-        //error handling
         default:
-            console.log("process results failed: " + key);
+            status = RadixTree.STATUS.PARTIAL_MATCH;
+            message = "Removal failed. key: '" + key + "' has a partial match until here: '" + key.substr(0, index.ttlCharsMatch) + "'. Check spelling and try removal again";
     }
+    return this._report(new Result(status, key, 0, 0), message);
 }
 
-/***************************************************************************
- * Build Function
- */
-
 /*****
- * @public
- * buildJSONString()
- * The purpose of this function is to build the static data
- *   structure as a JSON object so that it can be returned as
- *   a flat file to be referenced at runtime on the front end.
+ * @private
+ * _removeTokens()
+ * The purpose of this function is to remove the document holding
+ *   the key and data from every token of the key.
+ *
+ * @params
+ * key = mandatory, processed key String to tokenize
+ * data = mandatory, existing "data" of the document, ignored when removing every document of the key
+ * removeNode = mandatory, Boolean set when every document of the key is removed
  */
-RadixTree.prototype.buildJSONString = function buildJSONString() {
-    //back-end part of web service to return a copy of the tree
-    return JSON.stringify(this.tree, null, 2);
-}
+RadixTree.prototype._removeTokens = function _removeTokens(key, data, removeNode) {
+    var doc = { key: key, data: data },
+        tokens = this._tokens(key),
+        result = new Result(RadixTree.STATUS.REMOVED, key, 0, 0),
+        status = RadixTree.STATUS.KEY_NOT_FOUND;
 
-/***************************************************************************
- * Utility Functions
- */
+    //remove document from every token
+    for (var i = 0, arrlen = tokens.length; i < arrlen; i++) {
+        var index = new Index(this._copyPath(tokens[i])),
+            callbacks = new Callbacks(this._removeTokenMiss, this._removeTokenMiss, this._removeDocument, this._removeTokenMiss),
+            tokenResult;
+
+        index.removeNode = removeNode;
+
+        tokenResult = this._traverse(tokens[i], doc, index, callbacks);
+        this._updateMaxWeights(tokens[i]);
+
+        result.keywordsAffected += tokenResult.keywordsAffected;
+        result.dataAffected += tokenResult.dataAffected;
+        if (tokenResult.status === RadixTree.STATUS.DATA_NOT_FOUND) {
+            status = tokenResult.status;
+        }
+    }
+
+    //if nothing was removed, report why
+    if (result.dataAffected === 0) {
+        result.status = status;
+        return this._report(result, "Removal failed. key: '" + key + "' has no indexed document" + (removeNode ? "" : " with matching data"));
+    }
+    return result;
+}
 
 /*****
  * @private
- * _traverse()
- * The purpose of this function is to recursively traverse the
- *   data structure to find the matching node. Once the correct
- *   node on the tree is found, it passes the key, data, index,
- *   and callbacks to _processResults.
+ * _removeDocument()
+ * The purpose of this function is to remove the matching documents
+ *   from the node of a token. Every document of the key is removed
+ *   if index.removeNode is set.
  *
  * @params
- * key = mandatory, String used to _processResults of tree traversal
- * data = mandatory, "data" used to _processResults
+ * key = mandatory, token String matching the node
+ * doc = mandatory, document Object holding the key and "data" to remove
  * index = mandatory, Index object used to provide info of the tree
- * callbacks = mandatory, Callbacks object used to _processResults
  */
-RadixTree.prototype._traverse = function _traverse(key, data, index, callbacks) {
-    var tempKey = key.substr(index.ttlCharsMatch),
-        tempMatch = index.ttlCharsMatch;
+RadixTree.prototype._removeDocument = function _removeDocument(key, doc, index) {
+    var nodeData = index.node.$ || [],
+        removed = [],
+        result = new Result(RadixTree.STATUS.KEY_NOT_FOUND, doc.key, 0, 0);
 
-    //loop through child objects
-    for (var str in index.node) {
-        //loop through characters
-        for (var i = 0, strlen = tempKey.length; i < strlen; i++) {
-            if (tempKey.charAt(i) !== str.charAt(i)) {
+    //loop backwards so documents can be removed in place
+    for (var i = nodeData.length - 1; i >= 0; i--) {
+        if (nodeData[i].key !== doc.key) {
+            continue;
+        }
+        result.status = RadixTree.STATUS.DATA_NOT_FOUND;
+        if (index.removeNode || this._dataEquals(nodeData[i].data, doc.data)) {
+            this._nodeWeights(index.node).splice(i, 1);
+            removed.unshift(nodeData.splice(i, 1)[0]);
+            this.dataCount--;
+            result.dataAffected++;
+            if (!index.removeNode) {
                 break;
             }
         }
+    }
 
-        //if any characters match
-        if (i > 0) {
-            index.charsMatch = i;
-            index.ttlCharsMatch += i;
-            //if exact match, add current node to parents and move to matching node
-            if (i === str.length) {
-                index.parents.push(index.node);
-                index.node = index.node[str];
-            }
-            index.nodeKey = str;
-            break;
-        }
+    if (result.dataAffected === 0) {
+        return result;
     }
+    result.status = RadixTree.STATUS.REMOVED;
 
-    //if entire key hasn't been checked and there is more tree to search and matching node chars equals node length and total chars match has increased
-    if (index.ttlCharsMatch < key.length && this._leafCount(index.node) && index.charsMatch === index.nodeKey.length && tempMatch !== index.ttlCharsMatch) {
-        this._traverse(key, data, index, callbacks);
-    //else process results
-    } else {
-        this._processResults(key, data, index, callbacks);
+    //if data is empty, perform additional cleanup of node
+    if (nodeData.length === 0) {
+        delete index.node.$;
+        delete index.node.$weights;
+        this.keywordCount--;
+        result.keywordsAffected = 1;
     }
+    this._queueRemove(key, removed, result.keywordsAffected === 1);
+    if (this._isEmpty(index.node)) {
+        this._removeEmptyParents(index.parents);
+    }
+    return result;
 }
 
 /*****
  * @private
- * _processResults()
- * The purpose of this function is to process the results of the
- *   tree traversal with callbacks to either insert or remove.
+ * _removeTokenMiss()
+ * The purpose of this function is to return a failed Result when a
+ *   token of the key doesn't exist. Failures are reported once by
+ *   _removeTokens().
  *
  * @params
- * key = mandatory, String used to _processResults of tree traversal
- * data = mandatory, "data" used to _processResults
+ * key = mandatory, token String not found in the tree
+ * doc = mandatory, document Object holding the key and "data" to remove
  * index = mandatory, Index object used to provide info of the tree
- * callbacks = mandatory, Callbacks object used to _processResults
  */
-RadixTree.prototype._processResults = function _processResults(key, data, index, callbacks) {
-    switch(true) {
-        //if key doesn't exist
-        case (index.ttlCharsMatch === 0):
-            callbacks.nonExists.call(this, key, data, index);
-            break;
-        //if key contains suffix of index.nodeKey
-        case (index.ttlCharsMatch < key.length && index.charsMatch === index.nodeKey.length):
-            callbacks.suffix.call(this, key, data, index);
-            break;
-        //if there is an exact match
-        case (index.ttlCharsMatch === key.length && index.charsMatch === index.nodeKey.length):
-            callbacks.exact.call(this, key, data, index);
-            break;
-        //if key exists
-        case (index.ttlCharsMatch > 0):
-            callbacks.exists.call(this, key, data, index);
-            break;
-        //error handling
-        default:
-            console.log("Process results failed: " + key);
-    }
+RadixTree.prototype._removeTokenMiss = function _removeTokenMiss(key, doc, index) {
+    return new Result(RadixTree.STATUS.KEY_NOT_FOUND, doc.key, 0, 0);
 }
 
 /*****
- * @private
- * _processKey()
- * The purpose of this function is to check the keySwap first to see if a
- *   better search string exists. Whether or not a keySwap takes place,
- *   it returns a lower case key with spaces converted to underscores.
+ * @public
+ * clear()
+ * The purpose of this function is to remove every keyword and data.
+ *   The synonym groups and event handlers are kept.
  *
- * @param
- * key = mandatory, String used to process key before being entered/removed from the tree
+ * @returns
+ * Result object with the amount of keywords and data removed. A
+ *   persistent tree adds the snapshot of the empty tree.
  */
-RadixTree.prototype._processKey = function _processKey(key) {
-    if (this.keySwap && this.keySwap[key]) {
-        key = this.keySwap[key];
+RadixTree.prototype.clear = function clear() {
+    var result = new Result(RadixTree.STATUS.REMOVED, null, this.keywordCount, this.dataCount);
+
+    this._assertWritable();
+    this.tree = {};
+    this.keywordCount = 0;
+    this.dataCount = 0;
+    this._recordChange(null);
+    if (this._listening("clear")) {
+        this._events().pending.push({
+            type: "clear",
+            path: [],
+            keywordsAffected: result.keywordsAffected,
+            dataAffected: result.dataAffected
+        });
     }
-    return key.toLowerCase().replace(/ /g,"_");
+    return this._emitEvents(this._snapshotResult(result));
 }
 
 /*****
  * @private
- * _leafCount()
- * The purpose of this function is to get the amount of children in the node
- *   but is limited to just the children, not the keyword data stored in $.
+ * _report()
+ * The purpose of this function is to report a failed insert or remove.
+ *   In strict mode a RadixTreeError is thrown, otherwise the message is
+ *   passed to the logger, which defaults to console.log.
+ *     strict = optional, Boolean used to throw errors
+ *     logger = optional, Function(message, result) or null to stay silent
  *
- * @param
- * node = mandatory, Object used to check how many leaf nodes it contains
+ * @params
+ * result = mandatory, Result object of the failed operation
+ * message = mandatory, String describing why the operation failed
  */
-RadixTree.prototype._leafCount = function _leafCount(node) {
-    var size = 0;
-    for (var key in node) {
-        if (node.hasOwnProperty(key) && key !== "$") {
-            size++;
-        }
+RadixTree.prototype._report = function _report(result, message) {
+    if (this.strict) {
+        throw new RadixTreeError(message, result);
     }
-    return size;
+    if (typeof this.logger === "function") {
+        this.logger(message, result);
+    } else if (typeof this.logger === "undefined") {
+        console.log(message);
+    }
+    return result;
 }
 
+/***************************************************************************
+ * Search Functions
+ */
+
 /*****
- * @private
- * _isEmpty()
- * The purpose of this function is to check if a leaf node is empty.
+ * @public
+ * search()
+ * The purpose of this function is to find every keyword that
+ *   starts with the prefix and return it along with its data.
+ *   The prefix can end in the middle of a node key.
  *
- * @param
+ * @params
+ * prefix = mandatory, String used to search the tree
+ * options = optional, Object used to configure the search
+ *   limit = optional, int used to limit the amount of keywords returned
+ *   synonyms = optional, Boolean false to skip the synonym expansion
+ */
+RadixTree.prototype.search = function search(prefix, options) {
+    var prefixes,
+        results = [],
+        limit;
+
+    options = options || {};
+    limit = this._searchLimit(options);
+
+    //process key
+    prefix = this._processKey(prefix);
+
+    //search the prefix and every synonym of it
+    prefixes = options.synonyms === false ? [prefix] : this._expandSynonyms(prefix);
+    for (var i = 0, arrlen = prefixes.length; i < arrlen && results.length < limit; i++) {
+        var keywords = this._searchPrefix(prefixes[i], options);
+
+        //skip keywords already found with another prefix
+        for (var j = 0, keylen = keywords.length; j < keylen && results.length < limit; j++) {
+            if (!results.some(function (result) { return result.keyword === keywords[j].keyword; })) {
+                results.push(keywords[j]);
+            }
+        }
+    }
+    return results;
+}
+
+/*****
+ * @private
+ * _searchPrefix()
+ * The purpose of this function is to find every keyword that
+ *   starts with the processed prefix.
+ *
+ * @params
+ * prefix = mandatory, processed String used to search the tree
+ * options = mandatory, Object used to configure the search
+ */
+RadixTree.prototype._searchPrefix = function _searchPrefix(prefix, options) {
+    var index = new Index(this.tree),
+        callbacks = new Callbacks(this._searchMiss, this._searchMiss, this._searchNode, this._searchEdge);
+
+    //an empty prefix matches every keyword
+    if (prefix.length === 0) {
+        return this._collectKeywords(this.tree, "", [], this._searchLimit(options));
+    }
+
+    //start recursive search
+    return this._traverse(prefix, options, index, callbacks);
+}
+
+/*****
+ * @public
+ * fuzzySearch()
+ * The purpose of this function is to find every keyword within an
+ *   edit distance of the query, so misspelled keys still match. The
+ *   node keys are walked one character at a time with a row of the
+ *   edit distance table, and subtrees that can't match are skipped.
+ *   Results are ranked by distance and then by amount of data.
+ *
+ * @params
+ * query = mandatory, String used to search the tree
+ * options = optional, Object used to configure the search
+ *   maxDistance = optional, int maximum edit distance allowed, defaults to 2
+ *   prefix = optional, Boolean matching the query against the start of keywords
+ *   limit = optional, int used to limit the amount of keywords returned
+ */
+RadixTree.prototype.fuzzySearch = function fuzzySearch(query, options) {
+    var results = [],
+        row = [],
+        fuzzy;
+
+    options = options || {};
+    query = this._processKey(query);
+
+    //first row of the edit distance table
+    for (var i = 0; i <= query.length; i++) {
+        row.push(i);
+    }
+
+    fuzzy = {
+        query: query,
+        maxDistance: typeof options.maxDistance === "number" ? options.maxDistance : 2,
+        prefix: !!options.prefix,
+        results: results
+    };
+
+    //start recursive search
+    this._fuzzyWalk(this.tree, "", row, query.length, fuzzy);
+
+    //rank by distance, then by amount of data
+    results.sort(function (a, b) {
+        return (a.distance - b.distance) || (b.data.length - a.data.length) || (a.keyword < b.keyword ? -1 : 1);
+    });
+    return results.slice(0, this._searchLimit(options));
+}
+
+/*****
+ * @public
+ * query()
+ * The purpose of this function is to search a tree built with the
+ *   tokenize option. Every word of the text is searched as a prefix
+ *   and only the documents matching every word are returned, grouped
+ *   by their full key. Stop words are dropped from the text like from
+ *   the keys, so a text of nothing but stop words matches the keys
+ *   starting with it.
+ *
+ * @params
+ * text = mandatory, String of one or more words
+ * options = optional, Object used to configure the query
+ *   limit = optional, int used to limit the amount of keywords returned
+ */
+RadixTree.prototype.query = function query(text, options) {
+    var key = this._processKey(text),
+        stopWords = this.stopWords || RadixTree.STOP_WORDS,
+        terms = this._tokens(key),
+        matches = null,
+        results = [],
+        limit;
+
+    options = options || {};
+    limit = this._searchLimit(options);
+
+    //intersect the documents of every term
+    for (var i = 0, arrlen = terms.length; i < arrlen && (matches === null || matches.length); i++) {
+        var index = new Index(this.tree),
+            callbacks = new Callbacks(this._searchMiss, this._searchMiss, this._searchNode, this._searchEdge),
+            keywords = this._traverse(terms[i], {}, index, callbacks),
+            documents = [];
+
+        for (var j = 0, keylen = keywords.length; j < keylen; j++) {
+            for (var k = 0, datalen = keywords[j].data.length; k < datalen; k++) {
+                if (this._indexOfDocument(documents, keywords[j].data[k]) === -1) {
+                    documents.push(keywords[j].data[k]);
+                }
+            }
+        }
+
+        matches = matches === null ? documents : matches.filter(function (doc) {
+            return this._indexOfDocument(documents, doc) !== -1;
+        }, this);
+    }
+
+    //stop words are only indexed for keys without other tokens
+    if (terms.length && terms.every(function (term) { return stopWords.indexOf(term) !== -1; })) {
+        matches = this._prefixDocuments(key, matches);
+    }
+
+    //group the documents by key
+    for (i = 0, arrlen = matches ? matches.length : 0; i < arrlen; i++) {
+        for (j = 0; j < results.length && results[j].keyword !== matches[i].key; j++) {}
+        if (j === results.length) {
+            if (results.length >= limit) {
+                continue;
+            }
+            results.push({ keyword: matches[i].key, data: [] });
+        }
+        results[j].data.push(matches[i].data);
+    }
+    return results;
+}
+
+/*****
+ * @private
+ * _prefixDocuments()
+ * The purpose of this function is to add the documents whose key
+ *   starts with the processed text to the documents already matched.
+ *   Documents are stored under every token of their key, so each one
+ *   is only taken from the node of its first token.
+ *
+ * @params
+ * key = mandatory, processed text the keys start with
+ * matches = mandatory, Object[] of the documents already matched
+ */
+RadixTree.prototype._prefixDocuments = function _prefixDocuments(key, matches) {
+    var keywords = this._collectKeywords(this.tree, "", [], Infinity);
+
+    for (var i = 0, arrlen = keywords.length; i < arrlen; i++) {
+        for (var j = 0, datalen = keywords[i].data.length; j < datalen; j++) {
+            var doc = keywords[i].data[j];
+
+            if (doc.key.indexOf(key) === 0 && this._tokens(doc.key)[0] === keywords[i].keyword &&
+                    this._indexOfDocument(matches, doc) === -1) {
+                matches.push(doc);
+            }
+        }
+    }
+    return matches;
+}
+
+/*****
+ * @private
+ * _fuzzyWalk()
+ * The purpose of this function is to recursively walk the node keys
+ *   and collect the keywords within the maximum edit distance.
+ *
+ * @params
+ * node = mandatory, Object currently being walked
+ * key = mandatory, String containing the full key of the node
+ * row = mandatory, int[] edit distance table row of the key
+ * best = mandatory, int smallest distance of any prefix of the key
+ * fuzzy = mandatory, Object holding the query, maxDistance, prefix and results
+ */
+RadixTree.prototype._fuzzyWalk = function _fuzzyWalk(node, key, row, best, fuzzy) {
+    var distance = fuzzy.prefix ? best : row[row.length - 1];
+
+    //add keyword if node contains data and is close enough
+    if (node.$ && distance <= fuzzy.maxDistance) {
+        fuzzy.results.push({ keyword: key, data: node.$.slice(), distance: distance });
+    }
+
+    //loop through child objects
+    for (var j = 0, children = this._sortedKeys(node), keylen = children.length; j < keylen; j++) {
+        var str = children[j],
+            tempRow = row,
+            tempBest = best;
+
+        //loop through characters
+        for (var i = 0, strlen = str.length; i < strlen; i++) {
+            tempRow = this._fuzzyRow(tempRow, str.charAt(i), fuzzy.query);
+            tempBest = Math.min(tempBest, tempRow[tempRow.length - 1]);
+            if (Math.min.apply(Math, tempRow) > fuzzy.maxDistance) {
+                break;
+            }
+        }
+
+        //if every character was checked, keep walking
+        if (i === strlen) {
+            this._fuzzyWalk(this._childNode(node, str), key + str, tempRow, tempBest, fuzzy);
+        //else the query can't match anymore, but a matching prefix keeps the whole subtree
+        } else if (fuzzy.prefix && tempBest <= fuzzy.maxDistance) {
+            this._collectKeywords(this._childNode(node, str), key + str, [], Infinity).forEach(function (result) {
+                result.distance = tempBest;
+                fuzzy.results.push(result);
+            });
+        }
+    }
+}
+
+/*****
+ * @private
+ * _fuzzyRow()
+ * The purpose of this function is to calculate the next row of the
+ *   edit distance table after adding one character to the key.
+ *
+ * @params
+ * row = mandatory, int[] previous edit distance table row
+ * chr = mandatory, String character added to the key
+ * query = mandatory, String the distance is measured against
+ */
+RadixTree.prototype._fuzzyRow = function _fuzzyRow(row, chr, query) {
+    var nextRow = [row[0] + 1];
+    for (var i = 1, rowlen = row.length; i < rowlen; i++) {
+        nextRow.push(Math.min(
+            nextRow[i - 1] + 1,
+            row[i] + 1,
+            row[i - 1] + (query.charAt(i - 1) === chr ? 0 : 1)
+        ));
+    }
+    return nextRow;
+}
+
+/*****
+ * @private
+ * _searchNode()
+ * The purpose of this function is to collect the keywords of the
+ *   node matching the prefix exactly.
+ *
+ * @params
+ * key = mandatory, prefix String matching the node
+ * options = mandatory, Object used to configure the search
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._searchNode = function _searchNode(key, options, index) {
+    return this._collectKeywords(index.node, key, [], this._searchLimit(options));
+}
+
+/*****
+ * @private
+ * _searchEdge()
+ * The purpose of this function is to collect the keywords of the
+ *   node when the prefix ends in the middle of its node key.
+ *
+ * @params
+ * key = mandatory, prefix String partially matching the node key
+ * options = mandatory, Object used to configure the search
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._searchEdge = function _searchEdge(key, options, index) {
+    //if part of the prefix doesn't match, there is nothing to collect
+    if (index.ttlCharsMatch < key.length) {
+        return [];
+    }
+    var nodeKey = key.substr(0, index.ttlCharsMatch - index.charsMatch) + index.nodeKey;
+    return this._collectKeywords(this._childNode(index.node, index.nodeKey), nodeKey, [], this._searchLimit(options));
+}
+
+/*****
+ * @private
+ * _searchMiss()
+ * The purpose of this function is to return an empty result set
+ *   when the prefix doesn't exist in the tree.
+ *
+ * @params
+ * key = mandatory, prefix String not found in the tree
+ * options = mandatory, Object not used but mandatory for standardizing _processResults
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._searchMiss = function _searchMiss(key, options, index) {
+    return [];
+}
+
+/*****
+ * @private
+ * _searchLimit()
+ * The purpose of this function is to get the maximum amount of
+ *   keywords a search is allowed to return.
+ *
+ * @params
+ * options = mandatory, Object used to configure the search
+ */
+RadixTree.prototype._searchLimit = function _searchLimit(options) {
+    return typeof options.limit === "number" ? options.limit : Infinity;
+}
+
+/*****
+ * @private
+ * _collectKeywords()
+ * The purpose of this function is to recursively collect every
+ *   keyword and its data starting at the node.
+ *
+ * @params
+ * node = mandatory, Object used as the starting point of the collection
+ * key = mandatory, String containing the full key of the node
+ * results = mandatory, Object[] used to hold the collected keywords
+ * limit = mandatory, int used to stop collecting keywords
+ */
+RadixTree.prototype._collectKeywords = function _collectKeywords(node, key, results, limit) {
+    //add keyword if node contains data
+    if (node.$ && results.length < limit) {
+        results.push({ keyword: key, data: node.$.slice() });
+    }
+    //loop through child objects in sorted order
+    for (var i = 0, children = this._sortedKeys(node), arrlen = children.length; i < arrlen; i++) {
+        if (results.length >= limit) {
+            break;
+        }
+        this._collectKeywords(this._childNode(node, children[i]), key + children[i], results, limit);
+    }
+    return results;
+}
+
+/***************************************************************************
+ * Ranking Functions
+ */
+
+/*****
+ * @public
+ * rankedSearch()
+ * The purpose of this function is to find the best keywords that
+ *   start with the prefix. A keyword scores the highest weight of its
+ *   data, boosted when the prefix matches the whole keyword or ends on
+ *   a whole word, and lowered for every character after the prefix.
+ *   Only the best keywords are kept in a bounded heap, and subtrees
+ *   whose highest weight can't beat the worst kept keyword are skipped.
+ *
+ * @params
+ * prefix = mandatory, String used to search the tree
+ * options = optional, Object used to configure the ranking, defaults are in RadixTree.RANKING
+ *   limit = optional, int amount of keywords returned
+ *   exactBoost = optional, Number multiplying the score of the keyword matching the prefix
+ *   wordBoost = optional, Number multiplying the score when the prefix ends on a whole word
+ *   lengthPenalty = optional, Number lowering the score for every character after the prefix
+ *   scorer = optional, Function(entry, prefix) returning the score of an {keyword, data, weight} entry
+ *   bound = optional, Function(maxWeight, key, prefix) returning the highest score of any keyword
+ *     starting with key, without it every keyword is scored by the custom scorer
+ *   synonyms = optional, Boolean false to skip the synonym expansion
+ *
+ * @returns
+ * Object[] of {keyword, data, weight, score} with the best score first and
+ *   the data of every keyword ordered by weight
+ */
+RadixTree.prototype.rankedSearch = function rankedSearch(prefix, options) {
+    var prefixes,
+        results = [],
+        limit;
+
+    options = options || {};
+    limit = this._searchLimit(options);
+
+    //process key
+    prefix = this._processKey(prefix);
+
+    if (limit < 1) {
+        return results;
+    }
+
+    //rank the prefix and every synonym of it
+    prefixes = options.synonyms === false ? [prefix] : this._expandSynonyms(prefix);
+    for (var i = 0, arrlen = prefixes.length; i < arrlen; i++) {
+        var rank = {
+            prefix: prefixes[i],
+            limit: limit,
+            heap: [],
+            scorer: options.scorer || null,
+            bound: options.bound || null,
+            exactBoost: typeof options.exactBoost === "number" ? options.exactBoost : RadixTree.RANKING.exactBoost,
+            wordBoost: typeof options.wordBoost === "number" ? options.wordBoost : RadixTree.RANKING.wordBoost,
+            lengthPenalty: typeof options.lengthPenalty === "number" ? options.lengthPenalty : RadixTree.RANKING.lengthPenalty
+        };
+        results = results.concat(this._rankPrefix(rank));
+    }
+
+    //best score first, keeping the best score of keywords found with several prefixes
+    results.sort(function (a, b) {
+        return (b.score - a.score) || (a.keyword < b.keyword ? -1 : (a.keyword > b.keyword ? 1 : 0));
+    });
+    return results.filter(function (entry, i) {
+        for (var j = 0; j < i; j++) {
+            if (results[j].keyword === entry.keyword) {
+                return false;
+            }
+        }
+        return true;
+    }).slice(0, limit);
+}
+
+/*****
+ * @private
+ * _rankPrefix()
+ * The purpose of this function is to find the node of the processed
+ *   prefix and rank the keywords under it.
+ *
+ * @params
+ * rank = mandatory, Object holding the prefix, limit, heap and scoring options
+ */
+RadixTree.prototype._rankPrefix = function _rankPrefix(rank) {
+    var index = new Index(this.tree),
+        callbacks = new Callbacks(this._searchMiss, this._searchMiss, this._rankNode, this._rankEdge);
+
+    //an empty prefix ranks every keyword
+    if (rank.prefix.length === 0) {
+        this._rankWalk(this.tree, "", rank);
+    } else {
+        this._traverse(rank.prefix, rank, index, callbacks);
+    }
+    return rank.heap;
+}
+
+/*****
+ * @private
+ * _rankNode()
+ * The purpose of this function is to rank the keywords of the node
+ *   matching the prefix exactly.
+ *
+ * @params
+ * key = mandatory, prefix String matching the node
+ * rank = mandatory, Object holding the prefix, limit, heap and scoring options
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._rankNode = function _rankNode(key, rank, index) {
+    this._rankWalk(index.node, key, rank);
+    return rank.heap;
+}
+
+/*****
+ * @private
+ * _rankEdge()
+ * The purpose of this function is to rank the keywords of the node
+ *   when the prefix ends in the middle of its node key.
+ *
+ * @params
+ * key = mandatory, prefix String partially matching the node key
+ * rank = mandatory, Object holding the prefix, limit, heap and scoring options
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._rankEdge = function _rankEdge(key, rank, index) {
+    //if part of the prefix doesn't match, there is nothing to rank
+    if (index.ttlCharsMatch < key.length) {
+        return rank.heap;
+    }
+    var nodeKey = key.substr(0, index.ttlCharsMatch - index.charsMatch) + index.nodeKey;
+    this._rankWalk(this._childNode(index.node, index.nodeKey), nodeKey, rank);
+    return rank.heap;
+}
+
+/*****
+ * @private
+ * _rankWalk()
+ * The purpose of this function is to recursively score the keywords
+ *   starting at the node. Children with the highest weights are walked
+ *   first so the heap fills with good keywords and more subtrees are
+ *   skipped.
+ *
+ * @params
+ * node = mandatory, Object used as the starting point of the ranking
+ * key = mandatory, String containing the full key of the node
+ * rank = mandatory, Object holding the prefix, limit, heap and scoring options
+ */
+RadixTree.prototype._rankWalk = function _rankWalk(node, key, rank) {
+    var children = [];
+
+    //skip the subtree if it can't beat the worst kept keyword
+    if (rank.heap.length >= rank.limit && this._rankBound(this._nodeMaxWeight(node), key, rank) < rank.heap[0].score) {
+        return;
+    }
+
+    //score keyword if node contains data
+    if (node.$ && node.$.length) {
+        this._rankPush(rank, this._rankEntry(node, key, rank));
+    }
+
+    //loop through child objects, highest weight first
+    for (var j = 0, nodeKeys = this._sortedKeys(node), keylen = nodeKeys.length; j < keylen; j++) {
+        children.push({ key: nodeKeys[j], maxWeight: this._nodeMaxWeight(this._childNode(node, nodeKeys[j])) });
+    }
+    children.sort(function (a, b) {
+        return (b.maxWeight - a.maxWeight) || 0;
+    });
+    for (var i = 0, arrlen = children.length; i < arrlen; i++) {
+        this._rankWalk(this._childNode(node, children[i].key), key + children[i].key, rank);
+    }
+}
+
+/*****
+ * @private
+ * _rankEntry()
+ * The purpose of this function is to create the scored entry of a
+ *   keyword with its data ordered by weight.
+ *
+ * @params
+ * node = mandatory, Object containing the data of the keyword
+ * key = mandatory, String containing the full key of the node
+ * rank = mandatory, Object holding the prefix, limit, heap and scoring options
+ */
+RadixTree.prototype._rankEntry = function _rankEntry(node, key, rank) {
+    var weights = this._nodeWeights(node),
+        order = [],
+        entry;
+
+    //order data by weight, equal weights keep their insert order
+    for (var i = 0, arrlen = node.$.length; i < arrlen; i++) {
+        order.push(i);
+    }
+    order.sort(function (a, b) {
+        return (weights[b] - weights[a]) || (a - b);
+    });
+
+    entry = {
+        keyword: key,
+        data: order.map(function (i) { return node.$[i]; }),
+        weight: weights[order[0]],
+        score: 0
+    };
+    entry.score = rank.scorer ? rank.scorer(entry, rank.prefix) : this._rankScore(entry, rank);
+    return entry;
+}
+
+/*****
+ * @private
+ * _rankScore()
+ * The purpose of this function is to be the default scorer. The weight
+ *   is boosted for an exact or whole word match and divided by the
+ *   length penalty of the characters after the prefix.
+ *
+ * @params
+ * entry = mandatory, Object with the keyword and weight to score
+ * rank = mandatory, Object holding the prefix and scoring options
+ */
+RadixTree.prototype._rankScore = function _rankScore(entry, rank) {
+    var rest = entry.keyword.length - rank.prefix.length,
+        boost = 1;
+
+    //if the prefix matches the whole keyword
+    if (rest === 0) {
+        boost = rank.exactBoost;
+    //else if the prefix ends on a whole word of the keyword
+    } else if (rank.prefix.length && /[_ ]/.test(entry.keyword.charAt(rank.prefix.length))) {
+        boost = rank.wordBoost;
+    }
+    return entry.weight * boost / (1 + rank.lengthPenalty * rest);
+}
+
+/*****
+ * @private
+ * _rankBound()
+ * The purpose of this function is to get the highest score any keyword
+ *   starting with the key can reach, used to skip subtrees.
+ *
+ * @params
+ * maxWeight = mandatory, Number highest weight in the subtree of the key
+ * key = mandatory, String containing the full key of the node
+ * rank = mandatory, Object holding the prefix and scoring options
+ */
+RadixTree.prototype._rankBound = function _rankBound(maxWeight, key, rank) {
+    //a custom scorer can only skip subtrees with its own bound
+    if (rank.scorer) {
+        return rank.bound ? rank.bound(maxWeight, key, rank.prefix) : Infinity;
+    }
+    return maxWeight * Math.max(1, rank.exactBoost, rank.wordBoost) / (1 + rank.lengthPenalty * Math.max(0, key.length - rank.prefix.length));
+}
+
+/*****
+ * @private
+ * _rankPush()
+ * The purpose of this function is to keep the entry if it is one of
+ *   the best entries found so far. The heap holds the worst kept entry
+ *   first so it can be replaced without sorting.
+ *
+ * @params
+ * rank = mandatory, Object holding the limit and heap
+ * entry = mandatory, Object scored by _rankEntry()
+ */
+RadixTree.prototype._rankPush = function _rankPush(rank, entry) {
+    var heap = rank.heap,
+        i,
+        next,
+        temp;
+
+    //if heap isn't full, add entry and move it up
+    if (heap.length < rank.limit) {
+        heap.push(entry);
+        for (i = heap.length - 1; i > 0; i = next) {
+            next = (i - 1) >> 1;
+            if (!this._rankWorse(heap[i], heap[next])) {
+                break;
+            }
+            temp = heap[i];
+            heap[i] = heap[next];
+            heap[next] = temp;
+        }
+    //else if entry beats the worst kept entry, replace it and move it down
+    } else if (this._rankWorse(heap[0], entry)) {
+        heap[0] = entry;
+        for (i = 0; i * 2 + 1 < heap.length; i = next) {
+            next = i * 2 + 1;
+            if (next + 1 < heap.length && this._rankWorse(heap[next + 1], heap[next])) {
+                next++;
+            }
+            if (!this._rankWorse(heap[next], heap[i])) {
+                break;
+            }
+            temp = heap[i];
+            heap[i] = heap[next];
+            heap[next] = temp;
+        }
+    }
+}
+
+/*****
+ * @private
+ * _rankWorse()
+ * The purpose of this function is to compare two entries, a lower
+ *   score is worse and equal scores are ordered by keyword.
+ *
+ * @params
+ * a = mandatory, Object entry to compare
+ * b = mandatory, Object entry to compare against
+ */
+RadixTree.prototype._rankWorse = function _rankWorse(a, b) {
+    return a.score < b.score || (a.score === b.score && a.keyword > b.keyword);
+}
+
+/***************************************************************************
+ * Lookup Functions
+ */
+
+/*****
+ * @public
+ * get()
+ * The purpose of this function is to find the node matching the
+ *   key exactly and return a copy of its data. In a tokenized tree
+ *   the key is the full key the data was inserted with, not one of
+ *   its tokens. If the key doesn't exist, undefined is returned.
+ *
+ * @params
+ * key = mandatory, String used to find the matching node
+ */
+RadixTree.prototype.get = function get(key) {
+    var index = new Index(this.tree),
+        callbacks = new Callbacks(this._lookupMiss, this._lookupMiss, this._lookupNode, this._lookupMiss);
+
+    //process key
+    key = this._processKey(key);
+
+    //if tokenizing, find the documents of the key
+    if (this.tokenize) {
+        return this._lookupDocuments(key);
+    }
+
+    //start recursive lookup
+    return this._traverse(key, undefined, index, callbacks);
+}
+
+/*****
+ * @public
+ * has()
+ * The purpose of this function is to check whether or not the key
+ *   exists in the tree with data attached to it.
+ *
+ * @params
+ * key = mandatory, String used to find the matching node
+ */
+RadixTree.prototype.has = function has(key) {
+    return typeof this.get(key) !== "undefined";
+}
+
+/*****
+ * @public
+ * hasData()
+ * The purpose of this function is to check whether or not the key
+ *   exists in the tree and contains the matching data.
+ *
+ * @params
+ * key = mandatory, String used to find the matching node
+ * data = mandatory, "data" to find on the matching node
+ */
+RadixTree.prototype.hasData = function hasData(key, data) {
+    var nodeData = this.get(key);
+    return typeof nodeData !== "undefined" && this._indexOfData(nodeData, data) !== -1;
+}
+
+/*****
+ * @private
+ * _lookupNode()
+ * The purpose of this function is to return a copy of the data of
+ *   the node matching the key exactly.
+ *
+ * @params
+ * key = mandatory, String matching the node
+ * data = mandatory, "data" not used but mandatory for standardizing _processResults
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._lookupNode = function _lookupNode(key, data, index) {
+    return index.node.$ ? index.node.$.slice() : undefined;
+}
+
+/*****
+ * @private
+ * _lookupMiss()
+ * The purpose of this function is to return undefined when the key
+ *   doesn't match a node exactly.
+ *
+ * @params
+ * key = mandatory, String not found in the tree
+ * data = mandatory, "data" not used but mandatory for standardizing _processResults
+ * index = mandatory, Index object used to provide info of the tree
+ */
+RadixTree.prototype._lookupMiss = function _lookupMiss(key, data, index) {
+    return undefined;
+}
+
+/*****
+ * @private
+ * _lookupDocuments()
+ * The purpose of this function is to return the data of the documents
+ *   of a tokenized tree holding the key, found on the node of its first
+ *   token. If there are none, undefined is returned.
+ *
+ * @param
+ * key = mandatory, processed key String
+ */
+RadixTree.prototype._lookupDocuments = function _lookupDocuments(key) {
+    var tokens = this._tokens(key),
+        node = tokens.length ? this._keywordNode(tokens[0]) : null,
+        data = [];
+
+    for (var i = 0, arrlen = node && node.$ ? node.$.length : 0; i < arrlen; i++) {
+        if (node.$[i].key === key) {
+            data.push(node.$[i].data);
+        }
+    }
+    return data.length ? data : undefined;
+}
+
+/***************************************************************************
+ * Iteration Functions
+ */
+
+/*****
+ * @public
+ * keys()
+ * The purpose of this function is to iterate over every keyword in
+ *   lexicographic order.
+ *
+ * how to use:
+ *   var keys = [object_name].keys({prefix: "the"}), step;
+ *   while (!(step = keys.next()).done) { step.value; }
+ *   //or where Symbol.iterator exists
+ *   for (var key of [object_name].keys()) {}
+ *
+ * @param
+ * options = optional, Object used to limit the keywords, see _iterationRange()
+ */
+RadixTree.prototype.keys = function keys(options) {
+    return this._iterator(options, function (key, node) {
+        return key;
+    });
+}
+
+/*****
+ * @public
+ * values()
+ * The purpose of this function is to iterate over a copy of the data
+ *   of every keyword in lexicographic order of the keywords.
+ *
+ * @param
+ * options = optional, Object used to limit the keywords, see _iterationRange()
+ */
+RadixTree.prototype.values = function values(options) {
+    return this._iterator(options, function (key, node) {
+        return node.$.slice();
+    });
+}
+
+/*****
+ * @public
+ * entries()
+ * The purpose of this function is to iterate over [keyword, data]
+ *   pairs in lexicographic order, the data being a copy.
+ *
+ * @param
+ * options = optional, Object used to limit the keywords, see _iterationRange()
+ */
+RadixTree.prototype.entries = function entries(options) {
+    return this._iterator(options, function (key, node) {
+        return [key, node.$.slice()];
+    });
+}
+
+/*****
+ * @public
+ * forEach()
+ * The purpose of this function is to call the callback once for
+ *   every keyword in lexicographic order.
+ *
+ * @params
+ * callback = mandatory, Function called with the keyword String and a copy of its "data"[]
+ * options = optional, Object used to limit the keywords, see _iterationRange()
+ */
+RadixTree.prototype.forEach = function forEach(callback, options) {
+    var entries = this.entries(options),
+        step;
+
+    while (!(step = entries.next()).done) {
+        callback(step.value[0], step.value[1]);
+    }
+}
+
+/*****
+ * @public
+ * range()
+ * The purpose of this function is to get every keyword from the first
+ *   key up to, but not including, the end key in lexicographic order,
+ *   e.g. range("batman", "hulk") for an A-Z listing.
+ *
+ * @params
+ * from = mandatory, String first key of the range, included
+ * to = mandatory, String end of the range, excluded
+ * options = optional, Object used to configure the range
+ *   prefix = optional, String every keyword starts with
+ *   limit = optional, int used to limit the amount of keywords returned
+ */
+RadixTree.prototype.range = function range(from, to, options) {
+    options = options || {};
+    return this._takeEntries(this.entries({ prefix: options.prefix, from: from, to: to }), this._searchLimit(options));
+}
+
+/*****
+ * @public
+ * floor()
+ * The purpose of this function is to get the greatest keyword that is
+ *   less than or equal to the key, along with its data.
+ *
+ * @param
+ * key = mandatory, String to find the predecessor of
+ *
+ * @returns
+ * Object {keyword: String, data: "data"[]} or undefined if no keyword is before the key
+ */
+RadixTree.prototype.floor = function floor(key) {
+    return this._floorNode(this.tree, "", this._processKey(key));
+}
+
+/*****
+ * @public
+ * ceiling()
+ * The purpose of this function is to get the smallest keyword that is
+ *   greater than or equal to the key, along with its data.
+ *
+ * @param
+ * key = mandatory, String to find the successor of
+ *
+ * @returns
+ * Object {keyword: String, data: "data"[]} or undefined if no keyword is after the key
+ */
+RadixTree.prototype.ceiling = function ceiling(key) {
+    return this._takeEntries(this.entries({ from: key }), 1)[0];
+}
+
+/*****
+ * @public
+ * nextAfter()
+ * The purpose of this function is to page through the keywords in
+ *   lexicographic order. The keywords strictly after the key are
+ *   returned, so the last keyword of a page gets the next page.
+ *
+ * how to use:
+ *   var page = [object_name].nextAfter("", {limit: 20});
+ *   page = [object_name].nextAfter(page[page.length - 1].keyword, {limit: 20});
+ *
+ * @params
+ * key = mandatory, String the page starts after
+ * options = optional, Object used to configure the page
+ *   prefix = optional, String every keyword starts with
+ *   limit = optional, int used to limit the amount of keywords returned
+ */
+RadixTree.prototype.nextAfter = function nextAfter(key, options) {
+    var limit,
+        results;
+
+    options = options || {};
+    limit = this._searchLimit(options);
+    results = this._takeEntries(this.entries({ prefix: options.prefix, from: key }), limit + 1);
+
+    //the key itself isn't after the key
+    if (results.length && results[0].keyword === this._processKey(key)) {
+        results.shift();
+    }
+    return results.slice(0, limit);
+}
+
+/*****
+ * @private
+ * _iterator()
+ * The purpose of this function is to create an iterator walking the
+ *   tree depth first with sorted children, which visits the keywords
+ *   in lexicographic order. Nodes are only walked when next() is
+ *   called, and subtrees out of range are skipped. The tree shouldn't
+ *   be changed while iterating.
+ *
+ * @params
+ * options = optional, Object used to limit the keywords, see _iterationRange()
+ * select = mandatory, Function(key, node) returning the value of a keyword
+ */
+RadixTree.prototype._iterator = function _iterator(options, select) {
+    var self = this,
+        range = this._iterationRange(options),
+        stack = [{ node: this.tree, key: "" }],
+        iterator;
+
+    iterator = {
+        next: function next() {
+            while (stack.length) {
+                var item = stack.pop(),
+                    children;
+
+                //skip the subtree if none of its keys are in range
+                if (!self._subtreeInRange(item.key, range)) {
+                    continue;
+                }
+
+                //push children in reverse so the smallest is walked first
+                children = self._sortedKeys(item.node);
+                for (var i = children.length - 1; i >= 0; i--) {
+                    stack.push({ node: self._childNode(item.node, children[i]), key: item.key + children[i] });
+                }
+
+                //a keyword comes before every keyword it is a prefix of
+                if (item.node.$ && self._keyInRange(item.key, range)) {
+                    return { value: select(item.key, item.node), done: false };
+                }
+            }
+            return { value: undefined, done: true };
+        }
+    };
+
+    //make the iterator usable in for...of loops where Symbol exists
+    if (typeof Symbol === "function" && Symbol.iterator) {
+        iterator[Symbol.iterator] = function () {
+            return this;
+        };
+    }
+    return iterator;
+}
+
+/*****
+ * @private
+ * _iterationRange()
+ * The purpose of this function is to process the keys limiting an
+ *   iteration.
+ *
+ * @param
+ * options = optional, Object used to limit the keywords
+ *   prefix = optional, String every keyword starts with
+ *   from = optional, String first keyword of the range, included
+ *   to = optional, String end of the range, excluded
+ */
+RadixTree.prototype._iterationRange = function _iterationRange(options) {
+    options = options || {};
+    return {
+        prefix: typeof options.prefix === "string" ? this._processKey(options.prefix) : "",
+        from: typeof options.from === "string" ? this._processKey(options.from) : null,
+        to: typeof options.to === "string" ? this._processKey(options.to) : null
+    };
+}
+
+/*****
+ * @private
+ * _subtreeInRange()
+ * The purpose of this function is to check whether or not any keyword
+ *   starting with the key can be in range.
+ *
+ * @params
+ * key = mandatory, String containing the full key of a node
+ * range = mandatory, Object built by _iterationRange()
+ */
+RadixTree.prototype._subtreeInRange = function _subtreeInRange(key, range) {
+    //if key and prefix go separate ways
+    if (key.indexOf(range.prefix) !== 0 && range.prefix.indexOf(key) !== 0) {
+        return false;
+    }
+    //if every keyword of the subtree is past the end
+    if (range.to !== null && key >= range.to) {
+        return false;
+    }
+    //if every keyword of the subtree is before the start
+    return range.from === null || key >= range.from || range.from.indexOf(key) === 0;
+}
+
+/*****
+ * @private
+ * _keyInRange()
+ * The purpose of this function is to check whether or not the keyword
+ *   is in range.
+ *
+ * @params
+ * key = mandatory, keyword String
+ * range = mandatory, Object built by _iterationRange()
+ */
+RadixTree.prototype._keyInRange = function _keyInRange(key, range) {
+    return key.indexOf(range.prefix) === 0 &&
+        (range.from === null || key >= range.from) &&
+        (range.to === null || key < range.to);
+}
+
+/*****
+ * @private
+ * _takeEntries()
+ * The purpose of this function is to read keywords from an entries()
+ *   iterator into search results.
+ *
+ * @params
+ * entries = mandatory, iterator returned by entries()
+ * limit = mandatory, int maximum amount of keywords read
+ */
+RadixTree.prototype._takeEntries = function _takeEntries(entries, limit) {
+    var results = [],
+        step;
+
+    while (results.length < limit && !(step = entries.next()).done) {
+        results.push({ keyword: step.value[0], data: step.value[1] });
+    }
+    return results;
+}
+
+/*****
+ * @private
+ * _floorNode()
+ * The purpose of this function is to recursively find the greatest
+ *   keyword of the subtree that is less than or equal to the key. The
+ *   children are checked from the greatest down, so the first keyword
+ *   found is the answer.
+ *
+ * @params
+ * node = mandatory, Object currently being checked
+ * path = mandatory, String containing the full key of the node
+ * key = mandatory, processed key String
+ */
+RadixTree.prototype._floorNode = function _floorNode(node, path, key) {
+    var children = this._sortedKeys(node),
+        result;
+
+    //if the path isn't a prefix of the key, every keyword of the subtree is before the key
+    if (key.indexOf(path) !== 0) {
+        return this._lastKeyword(node, path);
+    }
+
+    //loop through child objects from the greatest, skipping the ones after the key
+    for (var i = children.length - 1; i >= 0; i--) {
+        if (path + children[i] <= key) {
+            result = this._floorNode(this._childNode(node, children[i]), path + children[i], key);
+            if (result) {
+                return result;
+            }
+        }
+    }
+
+    //a keyword comes before every keyword it is a prefix of
+    return node.$ ? { keyword: path, data: node.$.slice() } : undefined;
+}
+
+/*****
+ * @private
+ * _lastKeyword()
+ * The purpose of this function is to get the greatest keyword of the
+ *   subtree, which is found by always following the greatest child.
+ *
+ * @params
+ * node = mandatory, Object used as the starting point
+ * path = mandatory, String containing the full key of the node
+ */
+RadixTree.prototype._lastKeyword = function _lastKeyword(node, path) {
+    var children = this._sortedKeys(node);
+
+    while (children.length) {
+        path += children[children.length - 1];
+        node = this._childNode(node, children[children.length - 1]);
+        children = this._sortedKeys(node);
+    }
+    return node.$ ? { keyword: path, data: node.$.slice() } : undefined;
+}
+
+/***************************************************************************
+ * Synonym Functions
+ */
+
+/*****
+ * @public
+ * addSynonyms()
+ * The purpose of this function is to add a group of terms that mean
+ *   the same thing, like "LOTR" and "The Lord of the Rings". Searching
+ *   with any term of the group also searches the others. A term can
+ *   be part of several groups, but groups aren't merged, so a term only
+ *   searches the terms it shares a group with. Nothing is re-inserted
+ *   in the tree.
+ *
+ * @params
+ * terms = mandatory, String[] of at least two terms
+ *
+ * @returns
+ * int id of the group used by removeSynonyms()
+ */
+RadixTree.prototype.addSynonyms = function addSynonyms(terms) {
+    var groups = this._synonymGroups(),
+        group = { id: null, terms: [] };
+
+    this._assertWritable();
+    for (var i = 0, arrlen = terms.length; i < arrlen; i++) {
+        var term = this._processKey(terms[i]);
+        if (term.length && group.terms.indexOf(term) === -1) {
+            group.terms.push(term);
+        }
+    }
+    if (group.terms.length < 2) {
+        throw new TypeError("RadixTree: a synonym group needs at least two different terms");
+    }
+    //rejected groups don't use up an id
+    group.id = groups.nextId++;
+    groups.list.push(group);
+    this._recordSynonymChange();
+    return group.id;
+}
+
+/*****
+ * @public
+ * removeSynonyms()
+ * The purpose of this function is to remove synonym groups, either
+ *   the group with the id or every group containing the term.
+ *
+ * @params
+ * group = mandatory, int id returned by addSynonyms() or String term
+ *
+ * @returns
+ * int amount of groups removed
+ */
+RadixTree.prototype.removeSynonyms = function removeSynonyms(group) {
+    var groups = this._synonymGroups(),
+        term = typeof group === "string" ? this._processKey(group) : null,
+        arrlen = groups.list.length;
+
+    this._assertWritable();
+    groups.list = groups.list.filter(function (synonyms) {
+        return term === null ? synonyms.id !== group : synonyms.terms.indexOf(term) === -1;
+    });
+    if (groups.list.length < arrlen) {
+        this._recordSynonymChange();
+    }
+    return arrlen - groups.list.length;
+}
+
+/*****
+ * @public
+ * getSynonyms()
+ * The purpose of this function is to get every processed term sharing
+ *   a group with the term.
+ *
+ * @params
+ * term = mandatory, String to find the synonyms of
+ */
+RadixTree.prototype.getSynonyms = function getSynonyms(term) {
+    var groups = this._synonymGroups().list,
+        synonyms = [];
+
+    term = this._processKey(term);
+    for (var i = 0, arrlen = groups.length; i < arrlen; i++) {
+        if (groups[i].terms.indexOf(term) === -1) {
+            continue;
+        }
+        for (var j = 0, termlen = groups[i].terms.length; j < termlen; j++) {
+            if (groups[i].terms[j] !== term && synonyms.indexOf(groups[i].terms[j]) === -1) {
+                synonyms.push(groups[i].terms[j]);
+            }
+        }
+    }
+    return synonyms;
+}
+
+/*****
+ * @private
+ * _expandSynonyms()
+ * The purpose of this function is to get the prefixes to search for a
+ *   processed prefix. A prefix starting with a whole term is repeated
+ *   with every synonym in its place, and a prefix that is the start of
+ *   a term adds every synonym of the term.
+ *
+ * @params
+ * prefix = mandatory, processed String to expand
+ */
+RadixTree.prototype._expandSynonyms = function _expandSynonyms(prefix) {
+    var groups = this._synonymGroups().list,
+        prefixes = [prefix];
+
+    if (prefix.length === 0) {
+        return prefixes;
+    }
+
+    for (var i = 0, arrlen = groups.length; i < arrlen; i++) {
+        for (var j = 0, termlen = groups[i].terms.length; j < termlen; j++) {
+            var term = groups[i].terms[j],
+                rest = null;
+
+            //if prefix starts with the whole term, keep the rest of the prefix
+            if (prefix.indexOf(term) === 0 && (prefix.length === term.length || prefix.charAt(term.length) === "_")) {
+                rest = prefix.substr(term.length);
+            //else if prefix is the start of the term, search the whole synonyms
+            } else if (term.indexOf(prefix) === 0) {
+                rest = "";
+            } else {
+                continue;
+            }
+
+            for (var k = 0; k < termlen; k++) {
+                if (k !== j && prefixes.indexOf(groups[i].terms[k] + rest) === -1) {
+                    prefixes.push(groups[i].terms[k] + rest);
+                }
+            }
+        }
+    }
+    return prefixes;
+}
+
+/*****
+ * @private
+ * _synonymGroups()
+ * The purpose of this function is to get the synonym groups of the
+ *   tree, creating them on first use.
+ */
+RadixTree.prototype._synonymGroups = function _synonymGroups() {
+    if (!this.synonymGroups) {
+        this.synonymGroups = { nextId: 0, list: [] };
+    }
+    return this.synonymGroups;
+}
+
+/***************************************************************************
+ * Event Functions
+ */
+
+/*****
+ * @public
+ * on()
+ * The purpose of this function is to add a handler called after the
+ *   tree changes, to keep caches and search results in sync. Handlers
+ *   are called with an event once the insert(), insertMany(),
+ *   remove() or clear() changing the tree is done, in the order of
+ *   the changes.
+ *     insert = {type, key, data, weight, path, created}, created is set for new keywords
+ *     split = {type, key, path, nodeKey}, nodeKey was split at the node of the path while inserting the key
+ *     remove = {type, key, data, path, removed}, data removed, removed is set when the keyword is gone
+ *     clear = {type, path, keywordsAffected, dataAffected}
+ *   key is the full keyword, or token of a tokenized tree, and path is
+ *   the node keys from the root to the node that changed.
+ *
+ * how to use:
+ *   [object_name].on("insert", function(event) {});
+ *
+ * @params
+ * type = mandatory, String "insert", "remove", "split" or "clear"
+ * handler = mandatory, Function(event)
+ */
+RadixTree.prototype.on = function on(type, handler) {
+    this._eventType(type);
+    if (typeof handler !== "function") {
+        throw new TypeError("RadixTree: the handler of '" + type + "' must be a Function");
+    }
+    this._events().listeners[type].push(handler);
+}
+
+/*****
+ * @public
+ * off()
+ * The purpose of this function is to remove a handler added by on().
+ *
+ * @params
+ * type = mandatory, String "insert", "remove", "split" or "clear"
+ * handler = mandatory, Function added by on()
+ *
+ * @returns
+ * Boolean set when the handler was removed
+ */
+RadixTree.prototype.off = function off(type, handler) {
+    var handlers = this._events().listeners[this._eventType(type)],
+        i = handlers.indexOf(handler);
+
+    if (i === -1) {
+        return false;
+    }
+    handlers.splice(i, 1);
+    return true;
+}
+
+/*****
+ * @private
+ * _eventType()
+ * The purpose of this function is to check the type of an event.
+ *
+ * @param
+ * type = mandatory, String type passed to on() or off()
+ */
+RadixTree.prototype._eventType = function _eventType(type) {
+    if (RadixTree.EVENTS.indexOf(type) === -1) {
+        throw new TypeError("RadixTree: unknown event '" + type + "', expected " + RadixTree.EVENTS.join(", "));
+    }
+    return type;
+}
+
+/*****
+ * @private
+ * _events()
+ * The purpose of this function is to get the handlers and the events
+ *   waiting to be emitted, creating them on first use.
+ */
+RadixTree.prototype._events = function _events() {
+    if (!this.events) {
+        this.events = {
+            listeners: { insert: [], remove: [], split: [], clear: [] },
+            pending: [],
+            emitting: false
+        };
+    }
+    return this.events;
+}
+
+/*****
+ * @private
+ * _listening()
+ * The purpose of this function is to check for handlers of the type,
+ *   so events nobody listens to aren't built.
+ *
+ * @param
+ * type = mandatory, String type of the event
+ */
+RadixTree.prototype._listening = function _listening(type) {
+    return !!this.events && this.events.listeners[type].length > 0;
+}
+
+/*****
+ * @private
+ * _queueInsert()
+ * The purpose of this function is to record the change and queue the
+ *   insert event of data added to a keyword.
+ *
+ * @params
+ * key = mandatory, String keyword the data was added to
+ * data = mandatory, "data" added
+ * weight = mandatory, Number weight of the data
+ * created = mandatory, Boolean set when the keyword is new
+ */
+RadixTree.prototype._queueInsert = function _queueInsert(key, data, weight, created) {
+    this._recordChange(key);
+    if (this._listening("insert")) {
+        this._events().pending.push({ type: "insert", key: key, data: data, weight: weight, path: this._nodePath(key), created: created });
+    }
+}
+
+/*****
+ * @private
+ * _queueSplit()
+ * The purpose of this function is to queue the split event of a node
+ *   key split by _splitNode().
+ *
+ * @params
+ * key = mandatory, String keyword being inserted
+ * index = mandatory, Index object of the split
+ */
+RadixTree.prototype._queueSplit = function _queueSplit(key, index) {
+    if (this._listening("split")) {
+        this._events().pending.push({
+            type: "split",
+            key: key,
+            path: this._nodePath(key.substr(0, index.ttlCharsMatch)),
+            nodeKey: index.nodeKey
+        });
+    }
+}
+
+/*****
+ * @private
+ * _queueRemove()
+ * The purpose of this function is to record the change and queue the
+ *   remove event of data removed from a keyword, before its empty
+ *   nodes are removed.
+ *
+ * @params
+ * key = mandatory, String keyword the data was removed from
+ * data = mandatory, "data"[] removed
+ * removed = mandatory, Boolean set when the keyword is gone
+ */
+RadixTree.prototype._queueRemove = function _queueRemove(key, data, removed) {
+    this._recordChange(key);
+    if (this._listening("remove")) {
+        this._events().pending.push({ type: "remove", key: key, data: data, path: this._nodePath(key), removed: removed });
+    }
+}
+
+/*****
+ * @private
+ * _emitEvents()
+ * The purpose of this function is to call the handlers of the queued
+ *   events once the tree is done changing. Changes made by handlers
+ *   queue their events after the current ones. An error thrown by a
+ *   handler drops the events left and is thrown to the caller. In a
+ *   transaction the events wait for it to be done.
+ *
+ * @param
+ * result = mandatory, Result object returned once the events are emitted
+ */
+RadixTree.prototype._emitEvents = function _emitEvents(result) {
+    var events = this.events || null;
+
+    if (!events || events.emitting || this._inTransaction()) {
+        return result;
+    }
+    events.emitting = true;
+    try {
+        while (events.pending.length) {
+            var event = events.pending.shift(),
+                handlers = events.listeners[event.type].slice();
+
+            for (var i = 0, arrlen = handlers.length; i < arrlen; i++) {
+                handlers[i](event);
+            }
+        }
+    } finally {
+        events.pending.length = 0;
+        events.emitting = false;
+    }
+    return result;
+}
+
+/*****
+ * @private
+ * _nodePath()
+ * The purpose of this function is to get the node keys from the root
+ *   to the node of the key.
+ *
+ * @param
+ * key = mandatory, processed key String of an existing node
+ */
+RadixTree.prototype._nodePath = function _nodePath(key) {
+    var node = this.tree,
+        path = [],
+        length = 0,
+        nodeKey;
+
+    while (length < key.length && (nodeKey = this._childKey(node, key.charAt(length)))) {
+        path.push(nodeKey);
+        length += nodeKey.length;
+        node = this._childNode(node, nodeKey);
+    }
+    return path;
+}
+
+/***************************************************************************
+ * Change Functions
+ */
+
+/*****
+ * @public
+ * trackChanges()
+ * The purpose of this function is to start recording the keywords
+ *   changed by insert(), insertMany(), remove() and clear(), and the
+ *   synonym groups changed by addSynonyms() and removeSynonyms(), so
+ *   buildPatchString() can send what changed since a revision instead
+ *   of the whole tree. Every change adds one to the revision and
+ *   buildJSONString() records the revision the JSON was built at.
+ *   Only the last revision of every keyword is kept, so patches always
+ *   lead to the current revision. Calling it again keeps the changes
+ *   already recorded.
+ *
+ * @param
+ * revision = optional, int revision to start from, defaults to 0
+ *
+ * @returns
+ * int current revision
+ */
+RadixTree.prototype.trackChanges = function trackChanges(revision) {
+    this._assertWritable();
+    if (!this.changes) {
+        revision = typeof revision === "undefined" ? 0 : revision;
+        if (typeof revision !== "number" || revision < 0 || revision % 1 !== 0) {
+            throw new TypeError("RadixTree: the revision must be a positive int");
+        }
+        this.changes = {
+            revision: revision,
+            since: revision,
+            cleared: -1,
+            synonymsChanged: -1,
+            keywords: Object.create(null)
+        };
+    }
+    return this.changes.revision;
+}
+
+/*****
+ * @public
+ * revision()
+ * The purpose of this function is to get the current revision, or
+ *   null when changes aren't tracked.
+ */
+RadixTree.prototype.revision = function revision() {
+    return this.changes ? this.changes.revision : null;
+}
+
+/*****
+ * @public
+ * buildPatchString()
+ * The purpose of this function is to build the changes from a
+ *   revision to the current one, so front ends holding the JSON of
+ *   that revision don't download the whole tree again. Every keyword
+ *   changed since then is written with its current data, or null when
+ *   it is gone. RadixTreeReader.applyPatch() applies it to the JSON.
+ *
+ *   {
+ *     format: "patch", version: 1, from: revision, to: current revision,
+ *     clear: Boolean set when the tree was cleared in between,
+ *     keywords: {keyword: ["data"] or null},
+ *     weights: {keyword: [weight]} of the keywords with weights different from the default,
+ *     synonyms: [[term]] of every synonym group when the groups changed in between
+ *   }
+ *
+ * @params
+ * revision = mandatory, int revision the patch starts from
+ * options = optional, Object used to configure the JSON
+ *   minify = optional, Boolean leaving out the indentation
+ */
+RadixTree.prototype.buildPatchString = function buildPatchString(revision, options) {
+    var changes = this.changes ? this.changes : null,
+        keywords = Object.create(null),
+        weights = Object.create(null);
+
+    if (!changes) {
+        throw new TypeError("RadixTree: changes aren't tracked, call trackChanges() first");
+    }
+    if (typeof revision !== "number" || revision < changes.since || revision > changes.revision) {
+        throw new TypeError("RadixTree: no patch from revision " + revision + ", expected " + changes.since + " to " + changes.revision);
+    }
+
+    //sorted, so the same changes always build the same patch
+    for (var i = 0, changed = Object.keys(changes.keywords).sort(), arrlen = changed.length; i < arrlen; i++) {
+        if (changes.keywords[changed[i]] <= revision) {
+            continue;
+        }
+        var node = this._keywordNode(changed[i]),
+            keywordWeights = node ? this._customWeights(node) : null;
+
+        keywords[changed[i]] = node && node.$ ? node.$ : null;
+        if (keywordWeights) {
+            weights[changed[i]] = keywordWeights;
+        }
+    }
+
+    return JSON.stringify({
+        format: "patch",
+        version: 1,
+        from: revision,
+        to: changes.revision,
+        clear: changes.cleared > revision,
+        keywords: keywords,
+        weights: weights,
+        //left out when the synonym groups didn't change in between
+        synonyms: changes.synonymsChanged > revision ? this._synonymGroups().list.map(function (group) {
+            return group.terms;
+        }) : undefined
+    }, null, options && options.minify ? 0 : 2);
+}
+
+/*****
+ * @private
+ * _recordChange()
+ * The purpose of this function is to record the revision a keyword
+ *   changed at. Clearing the tree forgets the keywords recorded so far,
+ *   patches from before it start from an empty tree.
+ *
+ * @param
+ * key = mandatory, String keyword that changed or null when the tree was cleared
+ */
+RadixTree.prototype._recordChange = function _recordChange(key) {
+    var changes = this.changes ? this.changes : null;
+
+    if (!changes) {
+        return;
+    }
+    changes.revision++;
+    if (key === null) {
+        changes.keywords = Object.create(null);
+        changes.cleared = changes.revision;
+    } else {
+        changes.keywords[key] = changes.revision;
+    }
+}
+
+/*****
+ * @private
+ * _recordSynonymChange()
+ * The purpose of this function is to record the revision the synonym
+ *   groups changed at, patches from before it send every group.
+ */
+RadixTree.prototype._recordSynonymChange = function _recordSynonymChange() {
+    var changes = this.changes ? this.changes : null;
+
+    if (changes) {
+        changes.revision++;
+        changes.synonymsChanged = changes.revision;
+    }
+}
+
+/*****
+ * @private
+ * _keywordNode()
+ * The purpose of this function is to find the node of a processed
+ *   key without traversing callbacks, or null if the key doesn't end
+ *   on a node.
+ *
+ * @param
+ * key = mandatory, processed key String
+ */
+RadixTree.prototype._keywordNode = function _keywordNode(key) {
+    var node = this.tree,
+        length = 0,
+        nodeKey;
+
+    while (length < key.length) {
+        nodeKey = this._childKey(node, key.charAt(length));
+        if (!nodeKey || key.substr(length, nodeKey.length) !== nodeKey) {
+            return null;
+        }
+        node = this._childNode(node, nodeKey);
+        length += nodeKey.length;
+    }
+    return node;
+}
+
+/***************************************************************************
+ * Snapshot Functions
+ */
+
+/*****
+ * @public
+ * snapshot()
+ * The purpose of this function is to get a read-only view of the tree
+ *   as it is now, to serve queries while the tree keeps changing. A
+ *   persistent tree never changes a node it shares, insert() and
+ *   remove() copy the nodes along the key into a new root, so the view
+ *   keeps the current root without copying anything. Changing the view
+ *   throws a TypeError.
+ *     persistent = optional, Boolean copying the nodes along the key instead of changing them
+ */
+RadixTree.prototype.snapshot = function snapshot() {
+    var groups = this._synonymGroups(),
+        view;
+
+    if (!this.persistent) {
+        throw new TypeError("RadixTree: snapshot() needs the persistent option");
+    }
+    view = Object.create(this);
+    view.keywordCount = this.keywordCount;
+    view.dataCount = this.dataCount;
+    view.tree = this.tree;
+    view.readOnly = true;
+    //synonym groups never change once added, so only the list is copied
+    view.synonymGroups = { nextId: groups.nextId, list: groups.list.slice() };
+    //handlers added to the view aren't added to the tree
+    view.events = null;
+    //the view stays at the current revision, so its JSON can be patched
+    view.changes = this.changes ? {
+        revision: this.changes.revision,
+        since: this.changes.revision,
+        cleared: -1,
+        synonymsChanged: -1,
+        keywords: Object.create(null)
+    } : null;
+    return view;
+}
+
+/*****
+ * @private
+ * _assertWritable()
+ * The purpose of this function is to stop changes to a view returned
+ *   by snapshot().
+ */
+RadixTree.prototype._assertWritable = function _assertWritable() {
+    if (this.readOnly) {
+        throw new TypeError("RadixTree: snapshots are read-only");
+    }
+}
+
+/*****
+ * @private
+ * _snapshotResult()
+ * The purpose of this function is to add the snapshot() of the tree
+ *   after the change to the Result of a persistent tree, so every
+ *   version can be kept without calling snapshot() after each change.
+ *
+ * @param
+ * result = mandatory, Result object of the change
+ */
+RadixTree.prototype._snapshotResult = function _snapshotResult(result) {
+    if (this.persistent) {
+        result.snapshot = this.snapshot();
+    }
+    return result;
+}
+
+/*****
+ * @private
+ * _copyPath()
+ * The purpose of this function is to copy the root and every node the
+ *   key goes through when the tree is persistent or in a transaction,
+ *   before an insert or remove changes them. Nodes off the key are
+ *   shared with the previous root. It returns the root the change
+ *   starts from.
+ *
+ * @param
+ * key = mandatory, processed key String that will be inserted or removed
+ */
+RadixTree.prototype._copyPath = function _copyPath(key) {
+    var node,
+        nodeKey,
+        ttlCharsMatch = 0;
+
+    if (!this.persistent && !this._inTransaction()) {
+        return this.tree;
+    }
+    node = this.tree = this._copyNode(this.tree);
+
+    while (ttlCharsMatch < key.length) {
+        nodeKey = this._childKey(node, key.charAt(ttlCharsMatch));
+        //a node key the key ends or splits inside is moved, not changed
+        if (typeof nodeKey === "undefined" || key.substr(ttlCharsMatch, nodeKey.length) !== nodeKey) {
+            break;
+        }
+        this._childNodes(node)[nodeKey] = this._copyNode(this._childNode(node, nodeKey));
+        node = this._childNode(node, nodeKey);
+        ttlCharsMatch += nodeKey.length;
+    }
+    return this.tree;
+}
+
+/*****
+ * @private
+ * _copyNode()
+ * The purpose of this function is to copy a node with its data,
+ *   weights and annotations. The children are shared.
+ *
+ * @param
+ * node = mandatory, Object to copy
+ */
+RadixTree.prototype._copyNode = function _copyNode(node) {
+    var copy = {},
+        children = this._childNodes(node),
+        keys = this._sortedKeys(node),
+        copyChildren = this._childNodes(copy);
+
+    if (node.$) {
+        copy.$ = node.$.slice();
+        this._nodeWeights(copy, this._nodeWeights(node).slice());
+    }
+    for (var i = 0, arrlen = keys.length; i < arrlen; i++) {
+        copyChildren[keys[i]] = children[keys[i]];
+        copy.$first[keys[i].charAt(0)] = keys[i];
+    }
+    copy.$keys = keys.slice();
+    if (node.hasOwnProperty("$maxWeight")) {
+        Object.defineProperty(copy, "$maxWeight", { value: node.$maxWeight, writable: true, configurable: true });
+    }
+    return copy;
+}
+
+/***************************************************************************
+ * Transaction Functions
+ */
+
+/*****
+ * @public
+ * transaction()
+ * The purpose of this function is to apply the changes made by the
+ *   callback together or not at all, so an import failing halfway
+ *   doesn't leave the tree partly updated. The nodes along the changed
+ *   keys are copied like in a persistent tree, and if the callback
+ *   throws, the root, the counts, the synonym groups and the tracked
+ *   changes are put back before the error is thrown to the caller, so
+ *   patches leave out the rolled back changes. Events are emitted once
+ *   the outermost transaction is done, the events of rolled back
+ *   changes are dropped. A failed nested transaction only rolls back
+ *   its own changes.
+ *
+ * how to use:
+ *   [object_name].transaction(function() {
+ *     [object_name].insert(key, data);
+ *     [object_name].remove(key);
+ *   });
+ *
+ * @param
+ * callback = mandatory, Function changing the tree synchronously
+ *
+ * @returns
+ * value returned by the callback
+ */
+RadixTree.prototype.transaction = function transaction(callback) {
+    var savepoints = this._savepoints(),
+        value;
+
+    this._assertWritable();
+    if (typeof callback !== "function") {
+        throw new TypeError("RadixTree: transaction() expects a Function");
+    }
+
+    savepoints.push(this._savepoint());
+    try {
+        value = callback();
+        //the changes after the callback returns wouldn't be rolled back
+        if (value && typeof value.then === "function") {
+            throw new TypeError("RadixTree: the callback of transaction() must change the tree synchronously");
+        }
+    } catch (e) {
+        this._rollback(savepoints.pop());
+        throw e;
+    }
+    savepoints.pop();
+
+    //events are held until the outermost transaction is done
+    this._emitEvents(null);
+    return value;
+}
+
+/*****
+ * @private
+ * _savepoints()
+ * The purpose of this function is to get the savepoints of the
+ *   running transactions, creating them on first use.
+ */
+RadixTree.prototype._savepoints = function _savepoints() {
+    if (!this.savepoints) {
+        this.savepoints = [];
+    }
+    return this.savepoints;
+}
+
+/*****
+ * @private
+ * _inTransaction()
+ * The purpose of this function is to check for a running transaction.
+ */
+RadixTree.prototype._inTransaction = function _inTransaction() {
+    return !!this.savepoints && this.savepoints.length > 0;
+}
+
+/*****
+ * @private
+ * _savepoint()
+ * The purpose of this function is to record what a rollback puts
+ *   back. The current root reference is saved as is, because inside a
+ *   transaction _copyPath() and clear() replace the root instead of
+ *   changing it, so the rollback can put the saved root back.
+ */
+RadixTree.prototype._savepoint = function _savepoint() {
+    var groups = this._synonymGroups();
+
+    return {
+        tree: this.tree,
+        keywordCount: this.keywordCount,
+        dataCount: this.dataCount,
+        synonymGroups: { nextId: groups.nextId, list: groups.list.slice() },
+        changes: this.changes ? this._copyChanges(this.changes) : null,
+        pending: this.events ? this.events.pending.length : 0
+    };
+}
+
+/*****
+ * @private
+ * _copyChanges()
+ * The purpose of this function is to copy the tracked changes, which
+ *   are updated in place while the tree changes.
+ *
+ * @param
+ * changes = mandatory, Object of the tracked changes
+ */
+RadixTree.prototype._copyChanges = function _copyChanges(changes) {
+    var keywords = Object.create(null);
+
+    for (var key in changes.keywords) {
+        keywords[key] = changes.keywords[key];
+    }
+    return {
+        revision: changes.revision,
+        since: changes.since,
+        cleared: changes.cleared,
+        synonymsChanged: changes.synonymsChanged,
+        keywords: keywords
+    };
+}
+
+/*****
+ * @private
+ * _rollback()
+ * The purpose of this function is to put back the tree, the counts, the
+ *   synonym groups and the tracked changes of a savepoint and drop the
+ *   events queued since.
+ *
+ * @param
+ * savepoint = mandatory, Object returned by _savepoint()
+ */
+RadixTree.prototype._rollback = function _rollback(savepoint) {
+    var groups = this._synonymGroups();
+
+    this.tree = savepoint.tree;
+    this.keywordCount = savepoint.keywordCount;
+    this.dataCount = savepoint.dataCount;
+    groups.nextId = savepoint.synonymGroups.nextId;
+    groups.list = savepoint.synonymGroups.list;
+    //changes tracked from inside the transaction stop being tracked
+    this.changes = savepoint.changes;
+    if (this.events) {
+        this.events.pending.length = savepoint.pending;
+    }
+}
+
+/***************************************************************************
+ * Build Function
+ */
+
+/*****
+ * @public
+ * buildJSONString()
+ * The purpose of this function is to build the static data
+ *   structure as a JSON object so that it can be returned as
+ *   a flat file to be referenced at runtime on the front end.
+ *   The normalizers and keySwap are recorded next to the tree
+ *   so the front end processes keys the same way, along with the
+ *   weights that differ from the default so fromJSON() can
+ *   restore them. Since version 2 every node is written as
+ *   {data: [], children: {}}, so any String is a safe node key.
+ *   When changes are tracked the revision is recorded too, for
+ *   buildPatchString() and fromJSON(), and the terms of the synonym
+ *   groups are recorded when there are any.
+ *
+ * @param
+ * options = optional, Object used to configure the JSON
+ *   minify = optional, Boolean leaving out the indentation
+ */
+RadixTree.prototype.buildJSONString = function buildJSONString(options) {
+    //back-end part of web service to return a copy of the tree
+    return JSON.stringify({
+        format: "json",
+        version: 2,
+        //left out when changes aren't tracked
+        revision: this.changes ? this.changes.revision : undefined,
+        normalizers: this._normalizerNames(),
+        keySwap: this.keySwap || {},
+        weights: this._collectWeights(this.tree, "", Object.create(null)),
+        //left out when there are no synonym groups
+        synonyms: this._synonymGroups().list.length ? this._synonymGroups().list.map(function (group) {
+            return group.terms;
+        }) : undefined,
+        tree: this._exportNode(this.tree)
+    }, null, options && options.minify ? 0 : 2);
+}
+
+/*****
+ * @public
+ * buildCompactString()
+ * The purpose of this function is to build a packed copy of the
+ *   tree for large catalogs. Node keys and data are stored once in
+ *   string and value tables, and the nodes are a flat int array in
+ *   breadth first order, so children of a node are next to each
+ *   other and sorted. RadixTreeReader queries this format without
+ *   unpacking it.
+ *
+ *   {
+ *     format: "compact", version: 1, normalizers: [], keySwap: {},
+ *     labels: [node keys], values: [unique data],
+ *     nodes: [label index, amount of children, amount of data, ...],
+ *     data: [value index of every data, in node order]
+ *   }
+ */
+RadixTree.prototype.buildCompactString = function buildCompactString() {
+    var queue = [this.tree],
+        queueKeys = [""],
+        labels = [],
+        labelIds = Object.create(null),
+        values = [],
+        valueIds = Object.create(null),
+        nodes = [],
+        data = [];
+
+    //loop through the nodes breadth first
+    for (var i = 0; i < queue.length; i++) {
+        var node = queue[i],
+            nodeData = node.$ || [],
+            children = this._sortedKeys(node);
+
+        nodes.push(this._compactId(labels, labelIds, queueKeys[i], queueKeys[i]), children.length, nodeData.length);
+        for (var j = 0, arrlen = nodeData.length; j < arrlen; j++) {
+            data.push(this._compactId(values, valueIds, nodeData[j], JSON.stringify(nodeData[j])));
+        }
+        for (j = 0, arrlen = children.length; j < arrlen; j++) {
+            queue.push(this._childNode(node, children[j]));
+            queueKeys.push(children[j]);
+        }
+    }
+
+    return JSON.stringify({
+        format: "compact",
+        version: 1,
+        normalizers: this._normalizerNames(),
+        keySwap: this.keySwap || {},
+        labels: labels,
+        values: values,
+        nodes: nodes,
+        data: data
+    });
+}
+
+/*****
+ * @private
+ * _compactId()
+ * The purpose of this function is to get the position of the value
+ *   in a table of buildCompactString(), adding the value the first
+ *   time it is seen.
+ *
+ * @params
+ * table = mandatory, Array of unique values
+ * ids = mandatory, Object mapping the id of every value to its position
+ * value = mandatory, value to find or add
+ * id = mandatory, String identifying the value
+ */
+RadixTree.prototype._compactId = function _compactId(table, ids, value, id) {
+    if (!(id in ids)) {
+        ids[id] = table.length;
+        table.push(value);
+    }
+    return ids[id];
+}
+
+/*****
+ * @public
+ * RadixTree.fromJSON()
+ * The purpose of this function is to rebuild a mutable tree from the
+ *   JSON built by buildJSONString() without inserting every key again.
+ *   The tree is validated, the counts are recomputed and the recorded
+ *   keySwap, normalizers, weights and synonym groups are restored.
+ *   JSON built before the format was versioned is loaded as version 1.
+ *
+ * how to use:
+ *   var [object_name] = RadixTree.fromJSON(json);
+ *
+ * @params
+ * json = mandatory, String or Object built by buildJSONString()
+ * options = optional, Object with the settings that aren't recorded in the JSON
+ *   equality, dataId, strict, logger, tokenize, stopWords = optional, same as the optional properties
+ *   normalizers = optional, Object mapping the recorded names of custom normalizers to their Function
+ */
+RadixTree.fromJSON = function fromJSON(json, options) {
+    var radixTree = new RadixTree(),
+        source = radixTree._parseJSON(json),
+        counts = { keywordCount: 0, dataCount: 0 },
+        settings = ["equality", "dataId", "strict", "logger", "tokenize", "stopWords", "persistent"];
+
+    options = options || {};
+
+    //validate and rebuild the tree, count keywords and data and restore the weights
+    radixTree.tree = radixTree._restoreNode(source.tree, "", source.weights, counts, source.version);
+    radixTree.keywordCount = counts.keywordCount;
+    radixTree.dataCount = counts.dataCount;
+    radixTree.keySwap = source.keySwap;
+    radixTree.normalizers = radixTree._restoreNormalizers(source.normalizers, options.normalizers);
+    radixTree.synonymGroups = radixTree._restoreSynonyms(source.synonyms);
+    for (var i = 0, arrlen = settings.length; i < arrlen; i++) {
+        if (options.hasOwnProperty(settings[i])) {
+            radixTree[settings[i]] = options[settings[i]];
+        }
+    }
+
+    //keep tracking changes from the revision of the JSON
+    if (typeof source.revision !== "undefined") {
+        radixTree.trackChanges(source.revision);
+    }
+    return radixTree;
+}
+
+/*****
+ * @private
+ * _parseJSON()
+ * The purpose of this function is to parse a copy of the JSON built by
+ *   buildJSONString(), so the restored tree doesn't share nodes with
+ *   the caller, and return its tree, keySwap, normalizers, weights,
+ *   synonyms, format version and revision.
+ *
+ * @param
+ * json = mandatory, String or Object built by buildJSONString()
+ */
+RadixTree.prototype._parseJSON = function _parseJSON(json) {
+    var source = JSON.parse(typeof json === "string" ? json : JSON.stringify(json));
+
+    if (source === null || typeof source !== "object" || Array.isArray(source)) {
+        throw new TypeError("RadixTree: expected the JSON built by buildJSONString()");
+    }
+
+    //trees built before normalizers were recorded only contain the tree
+    if (!Array.isArray(source.normalizers)) {
+        return { tree: source, keySwap: {}, normalizers: RadixTree.DEFAULT_NORMALIZERS, weights: {}, synonyms: [], version: 1 };
+    }
+    //trees built before the format was versioned are version 1
+    if (typeof source.version !== "undefined" && source.version !== 1 && source.version !== 2) {
+        throw new TypeError("RadixTree: unsupported JSON version " + source.version);
+    }
+    [source.keySwap, source.weights].forEach(function (table) {
+        if (typeof table !== "undefined" && (table === null || typeof table !== "object" || Array.isArray(table))) {
+            throw new TypeError("RadixTree: keySwap and weights of the JSON must be Objects");
+        }
+    });
+    //synonym groups hold at least two processed terms
+    if (typeof source.synonyms !== "undefined" && (!Array.isArray(source.synonyms) || !source.synonyms.every(function (terms) {
+        return Array.isArray(terms) && terms.length > 1 && terms.every(function (term) { return typeof term === "string"; });
+    }))) {
+        throw new TypeError("RadixTree: synonyms of the JSON must be groups of at least two terms");
+    }
+
+    return {
+        tree: source.tree,
+        keySwap: source.keySwap || {},
+        normalizers: source.normalizers,
+        weights: source.weights || {},
+        synonyms: source.synonyms || [],
+        version: source.version || 1,
+        revision: source.revision
+    };
+}
+
+/*****
+ * @private
+ * _restoreNormalizers()
+ * The purpose of this function is to turn the recorded normalizer
+ *   names back into normalizers. Custom normalizers are looked up by
+ *   name first, then the names of built-in normalizers are kept.
+ *
+ * @params
+ * names = mandatory, String[] recorded by buildJSONString()
+ * custom = optional, Object mapping names of custom normalizers to their Function
+ */
+RadixTree.prototype._restoreNormalizers = function _restoreNormalizers(names, custom) {
+    return names.map(function (name) {
+        if (custom && custom.hasOwnProperty(name)) {
+            return custom[name];
+        }
+        if (RadixTree.NORMALIZERS.hasOwnProperty(name)) {
+            return name;
+        }
+        throw new TypeError("RadixTree: unknown normalizer '" + name + "', pass it in the normalizers option");
+    });
+}
+
+/*****
+ * @private
+ * _restoreSynonyms()
+ * The purpose of this function is to turn the recorded terms back
+ *   into synonym groups. The terms were processed when they were
+ *   added, so they are kept as they are.
+ *
+ * @param
+ * synonyms = mandatory, String[][] recorded by buildJSONString()
+ */
+RadixTree.prototype._restoreSynonyms = function _restoreSynonyms(synonyms) {
+    return {
+        nextId: synonyms.length,
+        list: synonyms.map(function (terms, id) {
+            return { id: id, terms: terms };
+        })
+    };
+}
+
+/*****
+ * @private
+ * _exportNode()
+ * The purpose of this function is to recursively convert a node into
+ *   the Object written to the JSON, {data: [], children: {}}, leaving
+ *   out what the node doesn't have.
+ *
+ * @param
+ * node = mandatory, Object to convert
+ */
+RadixTree.prototype._exportNode = function _exportNode(node) {
+    var exported = {},
+        children = this._sortedKeys(node);
+
+    if (node.$) {
+        exported.data = node.$;
+    }
+    if (children.length) {
+        //no prototype, so "__proto__" is written like any other node key
+        exported.children = Object.create(null);
+        for (var i = 0, arrlen = children.length; i < arrlen; i++) {
+            exported.children[children[i]] = this._exportNode(this._childNode(node, children[i]));
+        }
+    }
+    return exported;
+}
+
+/*****
+ * @private
+ * _collectWeights()
+ * The purpose of this function is to recursively collect the weights
+ *   of every keyword that has a weight different from the default.
+ *
+ * @params
+ * node = mandatory, Object used as the starting point of the collection
+ * key = mandatory, String containing the full key of the node
+ * weights = mandatory, Object mapping keywords to their Number[] weights
+ */
+RadixTree.prototype._collectWeights = function _collectWeights(node, key, weights) {
+    var keywordWeights = this._customWeights(node);
+
+    if (keywordWeights) {
+        weights[key] = keywordWeights;
+    }
+    //loop through child objects
+    for (var j = 0, children = this._sortedKeys(node), keylen = children.length; j < keylen; j++) {
+        this._collectWeights(this._childNode(node, children[j]), key + children[j], weights);
+    }
+    return weights;
+}
+
+/*****
+ * @private
+ * _customWeights()
+ * The purpose of this function is to get a copy of the weights of a
+ *   keyword if any of them isn't the default, or null.
+ *
+ * @param
+ * node = mandatory, Object to get the weights of
+ */
+RadixTree.prototype._customWeights = function _customWeights(node) {
+    var keywordWeights = node.$ ? this._nodeWeights(node) : [];
+
+    for (var i = 0, arrlen = keywordWeights.length; i < arrlen; i++) {
+        if (keywordWeights[i] !== RadixTree.RANKING.weight) {
+            return keywordWeights.slice();
+        }
+    }
+    return null;
+}
+
+/*****
+ * @private
+ * _restoreNode()
+ * The purpose of this function is to recursively validate a node of a
+ *   tree parsed from JSON and rebuild it. Keywords and data are
+ *   counted, the weights are restored and every node is annotated
+ *   with its highest weight. Version 1 nodes hold their children next
+ *   to their data in $, version 2 nodes hold data and children apart.
+ *   It returns the rebuilt node.
+ *
+ * @params
+ * source = mandatory, Object parsed from JSON
+ * key = mandatory, String containing the full key of the node
+ * weights = mandatory, Object mapping keywords to their Number[] weights
+ * counts = mandatory, Object holding the keywordCount and dataCount
+ * version = mandatory, int format version of the JSON
+ */
+RadixTree.prototype._restoreNode = function _restoreNode(source, key, weights, counts, version) {
+    var node = {},
+        dataKey = version === 1 ? "$" : "data",
+        children,
+        maxWeight = 0,
+        firstChars = {},
+        child;
+
+    if (source === null || typeof source !== "object" || Array.isArray(source)) {
+        throw this._treeError("node isn't an Object", key);
+    }
+    children = version === 1 ? source : source.children || {};
+    if (typeof children !== "object" || Array.isArray(children)) {
+        throw this._treeError("children isn't an Object", key);
+    }
+
+    //if node contains data, it is a keyword
+    if (Object.prototype.hasOwnProperty.call(source, dataKey)) {
+        if (!Array.isArray(source[dataKey]) || source[dataKey].length === 0) {
+            throw this._treeError("data isn't a non-empty Array", key);
+        }
+        node.$ = source[dataKey];
+        if (Object.prototype.hasOwnProperty.call(weights, key)) {
+            if (!Array.isArray(weights[key]) || weights[key].length !== node.$.length || !weights[key].every(function (weight) {
+                return typeof weight === "number" && isFinite(weight) && weight >= 0;
+            })) {
+                throw this._treeError("weights don't match the data", key);
+            }
+            this._nodeWeights(node, weights[key].slice());
+        }
+        counts.keywordCount++;
+        counts.dataCount += node.$.length;
+        maxWeight = Math.max.apply(Math, [0].concat(this._nodeWeights(node)));
+    }
+
+    //loop through child objects
+    for (var str in children) {
+        if (!Object.prototype.hasOwnProperty.call(children, str) || (version === 1 && str === "$")) {
+            continue;
+        }
+        //node keys of the same parent never share their first character
+        if (str.length === 0 || firstChars.hasOwnProperty(str.charAt(0))) {
+            throw this._treeError("node key '" + str + "' is empty or shares its first character", key);
+        }
+        firstChars[str.charAt(0)] = true;
+        child = this._restoreNode(children[str], key + str, weights, counts, version);
+        this._addChild(node, str, child);
+        maxWeight = Math.max(maxWeight, child.$maxWeight);
+    }
+
+    //only the root can be empty
+    if (key.length && this._isEmpty(node)) {
+        throw this._treeError("node is empty", key);
+    }
+    Object.defineProperty(node, "$maxWeight", { value: maxWeight, writable: true, configurable: true });
+    return node;
+}
+
+/*****
+ * @private
+ * _treeError()
+ * The purpose of this function is to create the error thrown when a
+ *   tree parsed from JSON is invalid.
+ *
+ * @params
+ * reason = mandatory, String describing what is invalid
+ * key = mandatory, String containing the full key of the invalid node
+ */
+RadixTree.prototype._treeError = function _treeError(reason, key) {
+    return new TypeError("RadixTree: invalid tree at key '" + key + "', " + reason);
+}
+
+/***************************************************************************
+ * Utility Functions
+ */
+
+/*****
+ * @private
+ * _traverse()
+ * The purpose of this function is to traverse the data
+ *   structure to find the matching node, one node per loop so long
+ *   keys don't grow the stack. Once the correct node on the tree
+ *   is found, it passes the key, data, index and callbacks to
+ *   _processResults and returns its result.
+ *
+ * @params
+ * key = mandatory, String used to _processResults of tree traversal
+ * data = mandatory, "data" used to _processResults
+ * index = mandatory, Index object used to provide info of the tree
+ * callbacks = mandatory, Callbacks object used to _processResults
+ */
+RadixTree.prototype._traverse = function _traverse(key, data, index, callbacks) {
+    var str,
+        i;
+
+    //while the entire key hasn't been checked, move down one node at a time
+    while (index.ttlCharsMatch < key.length) {
+        //node keys of the same parent never share their first character, so only one child can match
+        str = this._childKey(index.node, key.charAt(index.ttlCharsMatch));
+        if (typeof str === "undefined") {
+            break;
+        }
+
+        //loop through characters
+        for (i = 1; i < str.length; i++) {
+            if (key.charAt(index.ttlCharsMatch + i) !== str.charAt(i)) {
+                break;
+            }
+        }
+        index.charsMatch = i;
+        index.ttlCharsMatch += i;
+        index.nodeKey = str;
+
+        //if the node key only partially matches, the key ends or splits inside it
+        if (i < str.length) {
+            break;
+        }
+        //exact match, add current node to parents and move to matching node
+        index.parents.push(index.node);
+        index.node = this._childNode(index.node, str);
+    }
+    return this._processResults(key, data, index, callbacks);
+}
+
+/*****
+ * @private
+ * _processResults()
+ * The purpose of this function is to process the results of the
+ *   tree traversal with callbacks to either insert or remove.
+ *
+ * @params
+ * key = mandatory, String used to _processResults of tree traversal
+ * data = mandatory, "data" used to _processResults
+ * index = mandatory, Index object used to provide info of the tree
+ * callbacks = mandatory, Callbacks object used to _processResults
+ */
+RadixTree.prototype._processResults = function _processResults(key, data, index, callbacks) {
+    switch(true) {
+        //if key doesn't exist, the empty key is the root itself
+        case (index.ttlCharsMatch === 0 && key.length > 0):
+            return callbacks.nonExists.call(this, key, data, index);
+        //if key contains suffix of index.nodeKey
+        case (index.ttlCharsMatch < key.length && index.charsMatch === index.nodeKey.length):
+            return callbacks.suffix.call(this, key, data, index);
+        //if there is an exact match
+        case (index.ttlCharsMatch === key.length && index.charsMatch === index.nodeKey.length):
+            return callbacks.exact.call(this, key, data, index);
+        //if key exists
+        case (index.ttlCharsMatch > 0):
+            return callbacks.exists.call(this, key, data, index);
+        //error handling
+        default:
+            console.log("Process results failed: " + key);
+    }
+}
+
+/*****
+ * @public
+ * normalize()
+ * The purpose of this function is to return the key the way the tree
+ *   stores it, so callers can compare their input with keywords.
+ *
+ * @param
+ * key = mandatory, String to normalize
+ */
+RadixTree.prototype.normalize = function normalize(key) {
+    return this._processKey(key);
+}
+
+/*****
+ * @private
+ * _processKey()
+ * The purpose of this function is to check the keySwap first to see if a
+ *   better search string exists. Whether or not a keySwap takes place,
+ *   the key is passed through every normalizer in order. By default it
+ *   returns a lower case key with spaces converted to underscores.
+ *     normalizers = optional, (String|Function)[] names from RadixTree.NORMALIZERS or Function(key)
+ *
+ * @param
+ * key = mandatory, String used to process key before being entered/removed from the tree
+ */
+RadixTree.prototype._processKey = function _processKey(key) {
+    var normalizers = this.normalizers || RadixTree.DEFAULT_NORMALIZERS;
+
+    if (this.keySwap && Object.prototype.hasOwnProperty.call(this.keySwap, key) && this.keySwap[key]) {
+        key = this.keySwap[key];
+    }
+    for (var i = 0, arrlen = normalizers.length; i < arrlen; i++) {
+        if (typeof normalizers[i] === "function") {
+            this._normalizerName(normalizers[i]);
+            key = normalizers[i](key);
+        } else if (RadixTree.NORMALIZERS.hasOwnProperty(normalizers[i])) {
+            key = RadixTree.NORMALIZERS[normalizers[i]](key);
+        } else {
+            throw new TypeError("RadixTree: unknown normalizer '" + normalizers[i] + "'");
+        }
+    }
+    return key;
+}
+
+/*****
+ * @private
+ * _normalizerNames()
+ * The purpose of this function is to get the names of the normalizers
+ *   so they can be recorded with the serialized tree. Functions are
+ *   recorded by their function name.
+ */
+RadixTree.prototype._normalizerNames = function _normalizerNames() {
+    var normalizers = this.normalizers || RadixTree.DEFAULT_NORMALIZERS;
+
+    return normalizers.map(this._normalizerName, this);
+}
+
+/*****
+ * @private
+ * _normalizerName()
+ * The purpose of this function is to get the name a normalizer is
+ *   recorded by with the serialized tree. Custom normalizers are
+ *   recorded by their function name, so anonymous functions, which
+ *   couldn't be restored, are rejected.
+ *
+ * @param
+ * normalizer = mandatory, String name or Function(key) of the normalizer
+ */
+RadixTree.prototype._normalizerName = function _normalizerName(normalizer) {
+    if (typeof normalizer !== "function") {
+        return normalizer;
+    }
+    if (!normalizer.name) {
+        throw new TypeError("RadixTree: custom normalizers need a function name to be recorded by");
+    }
+    return normalizer.name;
+}
+
+/*****
+ * @private
+ * _indexOfData()
+ * The purpose of this function is to find the position of the data
+ *   in the data array of a node. If the data isn't found, -1 is
+ *   returned.
+ *
+ * @params
+ * nodeData = mandatory, "data"[] of the node to search
+ * data = mandatory, "data" to find in the data array
+ */
+RadixTree.prototype._indexOfData = function _indexOfData(nodeData, data) {
+    for (var i = 0, arrlen = nodeData.length; i < arrlen; i++) {
+        if (this._dataEquals(nodeData[i], data)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/*****
+ * @private
+ * _tokens()
+ * The purpose of this function is to split a processed key into its
+ *   unique tokens without the stop words. If every token is a stop
+ *   word, the stop words are kept.
+ *     tokenize = optional, true to split on underscores or Function(key) returning String[]
+ *     stopWords = optional, String[] of tokens to skip, defaults to RadixTree.STOP_WORDS
+ *
+ * @param
+ * key = mandatory, processed key String to split
+ */
+RadixTree.prototype._tokens = function _tokens(key) {
+    var stopWords = this.stopWords || RadixTree.STOP_WORDS,
+        tokens = typeof this.tokenize === "function" ? this.tokenize(key) : key.split("_"),
+        unique = [],
+        filtered;
+
+    for (var i = 0, arrlen = tokens.length; i < arrlen; i++) {
+        if (tokens[i] && unique.indexOf(tokens[i]) === -1) {
+            unique.push(tokens[i]);
+        }
+    }
+    filtered = unique.filter(function (token) {
+        return stopWords.indexOf(token) === -1;
+    });
+    return filtered.length ? filtered : unique;
+}
+
+/*****
+ * @private
+ * _indexOfDocument()
+ * The purpose of this function is to find the position of a document
+ *   with the same key and "data". If it isn't found, -1 is returned.
+ *
+ * @params
+ * documents = mandatory, Object[] of documents to search
+ * doc = mandatory, document Object holding the key and "data" to find
+ */
+RadixTree.prototype._indexOfDocument = function _indexOfDocument(documents, doc) {
+    for (var i = 0, arrlen = documents.length; i < arrlen; i++) {
+        if (documents[i].key === doc.key && this._dataEquals(documents[i].data, doc.data)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/*****
+ * @private
+ * _dataEquals()
+ * The purpose of this function is to compare two "data" with the
+ *   equality strategy of the tree. If dataId is set, the extracted
+ *   ids are compared instead of the "data" itself.
+ *     equality = "deep" (default), "identity" or Function(a, b)
+ *     dataId = optional, Function(data) returning the id of the "data"
+ *
+ * @params
+ * a = mandatory, "data" to compare
+ * b = mandatory, "data" to compare
+ */
+RadixTree.prototype._dataEquals = function _dataEquals(a, b) {
+    if (typeof this.dataId === "function") {
+        a = this.dataId(a);
+        b = this.dataId(b);
+    }
+    if (typeof this.equality === "function") {
+        return !!this.equality(a, b);
+    }
+    if (this.equality === "identity") {
+        //NaN is the only value not identical to itself
+        return a === b || (a !== a && b !== b);
+    }
+    return this._deepEqual(a, b, []);
+}
+
+/*****
+ * @private
+ * _deepEqual()
+ * The purpose of this function is to structurally compare two values.
+ *   Object keys can be in any order, Dates and RegExps compare by
+ *   value, NaN equals NaN and Functions compare by identity.
+ *
+ * @params
+ * a = mandatory, value to compare
+ * b = mandatory, value to compare
+ * stack = mandatory, Object[] pairs being compared, used to stop on circular references
+ */
+RadixTree.prototype._deepEqual = function _deepEqual(a, b, stack) {
+    if (a === b) {
+        return true;
+    }
+    //NaN is the only value not identical to itself
+    if (a !== a && b !== b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") {
+        return false;
+    }
+    var type = Object.prototype.toString.call(a);
+    if (type !== Object.prototype.toString.call(b)) {
+        return false;
+    }
+    if (type === "[object Date]") {
+        return this._deepEqual(a.getTime(), b.getTime(), stack);
+    }
+    if (type === "[object RegExp]") {
+        return String(a) === String(b);
+    }
+
+    //if this pair is already being compared, assume it is equal
+    for (var i = 0, arrlen = stack.length; i < arrlen; i++) {
+        if (stack[i][0] === a && stack[i][1] === b) {
+            return true;
+        }
+    }
+
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    stack.push([a, b]);
+    for (i = 0, arrlen = keys.length; i < arrlen; i++) {
+        if (!Object.prototype.hasOwnProperty.call(b, keys[i]) || !this._deepEqual(a[keys[i]], b[keys[i]], stack)) {
+            stack.pop();
+            return false;
+        }
+    }
+    stack.pop();
+    return true;
+}
+
+/*****
+ * @private
+ * _weightOption()
+ * The purpose of this function is to get the weight passed to insert().
+ *
+ * @param
+ * options = optional, Object passed to insert()
+ */
+RadixTree.prototype._weightOption = function _weightOption(options) {
+    var weight = options && typeof options.weight !== "undefined" ? options.weight : RadixTree.RANKING.weight;
+
+    if (typeof weight !== "number" || !isFinite(weight) || weight < 0) {
+        throw new TypeError("RadixTree: weight must be a finite Number of at least 0");
+    }
+    return weight;
+}
+
+/*****
+ * @private
+ * _dataNode()
+ * The purpose of this function is to create a new node holding the
+ *   data and its weight.
+ *
+ * @params
+ * data = mandatory, "data" to attach to the node
+ * weight = mandatory, Number weight of the data
+ */
+RadixTree.prototype._dataNode = function _dataNode(data, weight) {
+    var node = {$:[data]};
+    this._nodeWeights(node, [weight]);
+    return node;
+}
+
+/*****
+ * @private
+ * _nodeWeights()
+ * The purpose of this function is to get the weights of the node
+ *   data, in the same order as $. Weights aren't enumerable, like the
+ *   other annotations of the node. Nodes without weights, like the
+ *   ones of a tree set directly, get the default.
+ *
+ * @params
+ * node = mandatory, Object containing the data
+ * weights = optional, Number[] replacing the weights of the node
+ */
+RadixTree.prototype._nodeWeights = function _nodeWeights(node, weights) {
+    if (weights || !node.hasOwnProperty("$weights")) {
+        Object.defineProperty(node, "$weights", {
+            value: weights || (node.$ || []).map(function () { return RadixTree.RANKING.weight; }),
+            writable: true,
+            configurable: true
+        });
+    }
+    return node.$weights;
+}
+
+/*****
+ * @private
+ * _nodeMaxWeight()
+ * The purpose of this function is to get the highest weight in the
+ *   subtree of the node. Nodes that were never annotated can't be
+ *   skipped, so their highest weight is unknown.
+ *
+ * @param
+ * node = mandatory, Object to get the highest weight of
+ */
+RadixTree.prototype._nodeMaxWeight = function _nodeMaxWeight(node) {
+    return node.hasOwnProperty("$maxWeight") ? node.$maxWeight : Infinity;
+}
+
+/*****
+ * @private
+ * _updateMaxWeights()
+ * The purpose of this function is to annotate every node along the key
+ *   with the highest weight of its subtree, after an insert or remove.
+ *   Nodes are updated from the deepest up so every node can use the
+ *   annotations of its children, until a node keeps its annotation.
+ *
+ * @param
+ * key = mandatory, processed key String that was inserted or removed
+ */
+RadixTree.prototype._updateMaxWeights = function _updateMaxWeights(key) {
+    var nodes = [this.tree],
+        ttlCharsMatch = 0;
+
+    //find the nodes along the key, the end of the key may have been removed
+    while (ttlCharsMatch < key.length) {
+        var node = nodes[nodes.length - 1],
+            nodeKey = this._childKey(node, key.charAt(ttlCharsMatch));
+
+        if (typeof nodeKey === "undefined" || key.substr(ttlCharsMatch, nodeKey.length) !== nodeKey) {
+            break;
+        }
+        nodes.push(this._childNode(node, nodeKey));
+        ttlCharsMatch += nodeKey.length;
+    }
+
+    for (var i = nodes.length - 1; i >= 0; i--) {
+        var maxWeight = this._subtreeMaxWeight(nodes[i]);
+
+        //only the nodes along the key changed, so the nodes above keep their annotation if this one does
+        if (nodes[i].$maxWeight === maxWeight) {
+            break;
+        }
+        Object.defineProperty(nodes[i], "$maxWeight", { value: maxWeight, writable: true, configurable: true });
+    }
+}
+
+/*****
+ * @private
+ * _subtreeMaxWeight()
+ * The purpose of this function is to compute the highest weight in
+ *   the subtree of the node from its data and the annotations of its
+ *   children.
+ *
+ * @param
+ * node = mandatory, Object whose children are already annotated
+ */
+RadixTree.prototype._subtreeMaxWeight = function _subtreeMaxWeight(node) {
+    var maxWeight = node.$ ? Math.max.apply(Math, [0].concat(this._nodeWeights(node))) : 0,
+        children = this._sortedKeys(node);
+
+    for (var j = 0, keylen = children.length; j < keylen; j++) {
+        maxWeight = Math.max(maxWeight, this._nodeMaxWeight(this._childNode(node, children[j])));
+    }
+    return maxWeight;
+}
+
+/*****
+ * @private
+ * _childNodes()
+ * The purpose of this function is to get the Object holding the
+ *   children of the node by node key. Children aren't kept on the node
+ *   itself, so node keys like "$" or "__proto__" can't collide with
+ *   the data or with Object properties, and the Object has no
+ *   prototype. Nodes that don't have children yet, like the empty
+ *   tree, get them the first time they're read.
+ *
+ * @param
+ * node = mandatory, Object to get the children of
+ */
+RadixTree.prototype._childNodes = function _childNodes(node) {
+    if (!node.hasOwnProperty("$children")) {
+        Object.defineProperty(node, "$children", { value: Object.create(null), writable: true, configurable: true });
+        Object.defineProperty(node, "$keys", { value: [], writable: true, configurable: true });
+        Object.defineProperty(node, "$first", { value: Object.create(null), writable: true, configurable: true });
+    }
+    return node.$children;
+}
+
+/*****
+ * @private
+ * _childNode()
+ * The purpose of this function is to get the child of the node with
+ *   the node key or undefined.
+ *
+ * @params
+ * node = mandatory, Object to get the child of
+ * key = mandatory, String node key of the child
+ */
+RadixTree.prototype._childNode = function _childNode(node, key) {
+    return this._childNodes(node)[key];
+}
+
+/*****
+ * @private
+ * _childKey()
+ * The purpose of this function is to get the node key of the child
+ *   starting with the character or undefined. Node keys of the same
+ *   parent never share their first character, so the children are
+ *   indexed by it in $first.
+ *
+ * @params
+ * node = mandatory, Object to get the child key of
+ * chr = mandatory, String first character of the node key
+ */
+RadixTree.prototype._childKey = function _childKey(node, chr) {
+    this._childNodes(node);
+    return node.$first[chr];
+}
+
+/*****
+ * @private
+ * _sortedKeys()
+ * The purpose of this function is to get the keys of the children of
+ *   the node in sorted order. The keys are kept in the $keys array
+ *   next to the children, since the order of object properties isn't
+ *   sorted (integer-like keys come first). The array shouldn't be
+ *   changed by the caller.
+ *
+ * @param
+ * node = mandatory, Object to get the child keys of
+ */
+RadixTree.prototype._sortedKeys = function _sortedKeys(node) {
+    this._childNodes(node);
+    return node.$keys;
+}
+
+/*****
+ * @private
+ * _addChild()
+ * The purpose of this function is to add a child to the node, insert
+ *   its key into the sorted keys and index it by its first character.
+ *
+ * @params
+ * node = mandatory, Object the child is added to
+ * key = mandatory, String node key of the child
+ * child = mandatory, Object added
+ */
+RadixTree.prototype._addChild = function _addChild(node, key, child) {
+    var keys = this._sortedKeys(node),
+        i = this._keyPosition(keys, key);
+
+    if (keys[i] !== key) {
+        keys.splice(i, 0, key);
+    }
+    this._childNodes(node)[key] = child;
+    node.$first[key.charAt(0)] = key;
+}
+
+/*****
+ * @private
+ * _deleteChild()
+ * The purpose of this function is to delete a child of the node, its
+ *   key from the sorted keys and its first character from the index.
+ *
+ * @params
+ * node = mandatory, Object the child is deleted from
+ * key = mandatory, String node key of the child
+ */
+RadixTree.prototype._deleteChild = function _deleteChild(node, key) {
+    var keys = this._sortedKeys(node),
+        i = this._keyPosition(keys, key);
+
+    if (keys[i] === key) {
+        keys.splice(i, 1);
+    }
+    delete this._childNodes(node)[key];
+    if (node.$first[key.charAt(0)] === key) {
+        delete node.$first[key.charAt(0)];
+    }
+}
+
+/*****
+ * @private
+ * _keyPosition()
+ * The purpose of this function is to find the position of the key in
+ *   the sorted keys, or where it would be inserted, by halves.
+ *
+ * @params
+ * keys = mandatory, String[] sorted keys
+ * key = mandatory, String to find
+ */
+RadixTree.prototype._keyPosition = function _keyPosition(keys, key) {
+    var low = 0,
+        high = keys.length;
+
+    while (low < high) {
+        var middle = (low + high) >> 1;
+
+        if (keys[middle] < key) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/*****
+ * @private
+ * _leafCount()
+ * The purpose of this function is to get the amount of children in the node
+ *   but is limited to just the children, not the keyword data stored in $.
+ *
+ * @param
+ * node = mandatory, Object used to check how many leaf nodes it contains
+ */
+RadixTree.prototype._leafCount = function _leafCount(node) {
+    return this._sortedKeys(node).length;
+}
+
+/*****
+ * @private
+ * _isEmpty()
+ * The purpose of this function is to check if a leaf node is empty,
+ *   without data or children.
+ *
+ * @param
  * node = mandatory, Object used to check if node is empty
  */
 RadixTree.prototype._isEmpty = function _isEmpty(node) {
-    return Object.keys(node).length === 0;
+    return !node.hasOwnProperty("$") && this._leafCount(node) === 0;
 }
 
 /***************************************************************************
@@ -428,6 +3912,8 @@ RadixTree.prototype._isEmpty = function _isEmpty(node) {
  * charsMatch = mandatory, int used to specify how many characters match on the current node
  * ttlCharsMatch = mandatory, int used to specify how my total characters match the current key
  * parents = mandatory, Object[] used to hold references of all the matching parent nodes
+ * removeNode = optional, Boolean set when remove() deletes the entire node
+ * weight = optional, Number weight of the data inserted
  */
 function Index(node) {
     this.node = node;
@@ -435,6 +3921,8 @@ function Index(node) {
     this.charsMatch = 0;
     this.ttlCharsMatch = 0;
     this.parents = [];
+    this.removeNode = false;
+    this.weight = RadixTree.RANKING.weight;
 }
 
 /*****
@@ -454,3 +3942,55 @@ function Callbacks(callback1, callback2, callback3, callback4) {
     this.exact = callback3;
     this.exists = callback4;
 }
+
+/*****
+ * @private
+ * Result Object
+ * The purpose of this object is to hold the outcome of insert() and remove()
+ *
+ * @params
+ * status = mandatory, String status code from RadixTree.STATUS
+ * key = mandatory, processed key String
+ * keywordsAffected = mandatory, int amount of keywords added or removed
+ * dataAffected = mandatory, int amount of data added or removed
+ */
+function Result(status, key, keywordsAffected, dataAffected) {
+    this.status = status;
+    this.key = key;
+    this.keywordsAffected = keywordsAffected;
+    this.dataAffected = dataAffected;
+}
+
+/*****
+ * RadixTreeError Object definition
+ * The purpose of this object is to be thrown in strict mode when
+ *   insert() or remove() fails.
+ *
+ * @params
+ * message = mandatory, String describing why the operation failed
+ * result = mandatory, Result object of the failed operation
+ */
+function RadixTreeError(message, result) {
+    this.name = "RadixTreeError";
+    this.message = message;
+    this.code = result.status;
+    this.result = result;
+    this.stack = (new Error(message)).stack;
+}
+RadixTreeError.prototype = Object.create(Error.prototype, {
+    constructor: { value: RadixTreeError, writable: true, configurable: true }
+});
+
+/*****
+ * Module export
+ * Plain scripts keep the global RadixTree. CommonJS and AMD loaders get
+ *   this implementation in its own scope, so it can be loaded next to
+ *   the other implementations, see src/svr/index.js.
+ */
+if (typeof module === "object" && module.exports) {
+    module.exports = { RadixTree: RadixTree, RadixTreeError: RadixTreeError };
+} else if (typeof define === "function" && define.amd) {
+    define(function () {
+        return { RadixTree: RadixTree, RadixTreeError: RadixTreeError };
+    });
+}
@@ -0,0 +1,124 @@
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * RadixTree benchmark
+ * Compares the prototypal, classical and closure implementations on the
+ *   same keys, created side by side by the factory of the module. The
+ *   keys are long URLs sharing prefixes, and a chain of keys that are
+ *   prefixes of each other checks that deep trees don't overflow the
+ *   stack.
+ *
+ * how to use:
+ *   node test/bench/RadixTreeBenchmark.js [key count]
+ */
+var radixTrees = require("../../src/svr/index.js");
+
+var KEY_COUNT = parseInt(process.argv[2], 10) || 20000,
+    CHAIN_DEPTH = 2000;
+
+/*****
+ * @private
+ * urls()
+ * The purpose of this function is to build the same long keys on every
+ *   run, URLs sharing hosts and paths like a crawl of a few sites.
+ *
+ * @param
+ * count = mandatory, int amount of keys
+ */
+function urls(count) {
+    var hosts = ["www.example.com", "docs.example.com", "shop.example.org", "blog.example.net"],
+        sections = ["products", "articles", "users", "search", "static/assets/images"],
+        keys = [],
+        seed = 1;
+
+    for (var i = 0; i < count; i++) {
+        seed = (seed * 16807) % 2147483647;
+        keys.push("https://" + hosts[seed % hosts.length] + "/" + sections[seed % sections.length] +
+            "/" + (seed % 997) + "/" + seed.toString(36) + "/index.html?page=" + (i % 50));
+    }
+    return keys;
+}
+
+/*****
+ * @private
+ * time()
+ * The purpose of this function is to run the function once for every
+ *   key and return the amount of operations per second.
+ *
+ * @params
+ * keys = mandatory, String[] passed to the function one at a time
+ * fn = mandatory, Function(key, i) measured
+ * batch = optional, int amount of operations done by every call, defaults to 1
+ */
+function time(keys, fn, batch) {
+    var start = process.hrtime(),
+        elapsed;
+
+    for (var i = 0, arrlen = keys.length; i < arrlen; i++) {
+        fn(keys[i], i);
+    }
+    elapsed = process.hrtime(start);
+    return Math.round(keys.length * (batch || 1) / (elapsed[0] + elapsed[1] / 1e9));
+}
+
+/*****
+ * @private
+ * pad()
+ * The purpose of this function is to align the columns of the results.
+ *
+ * @params
+ * value = mandatory, value written in the column
+ * width = mandatory, int width of the column
+ */
+function pad(value, width) {
+    value = String(value);
+    while (value.length < width) {
+        value = " " + value;
+    }
+    return value;
+}
+
+/*****
+ * @private
+ * run()
+ * The purpose of this function is to benchmark every implementation
+ *   and print the operations per second of each operation.
+ */
+function run() {
+    var keys = urls(KEY_COUNT),
+        prefixes = keys.slice(0, 1000).map(function (key) { return key.substr(0, 30); }),
+        chain = [],
+        pairs = keys.map(function (key, i) { return [key, i]; }),
+        columns = ["insert", "build", "get", "search", "remove", "chain"];
+
+    for (var i = 1; i <= CHAIN_DEPTH; i++) {
+        chain.push(new Array(i + 1).join("a"));
+    }
+
+    console.log("RadixTree benchmark, " + KEY_COUNT + " URL keys, operations per second");
+    console.log(pad("", 12) + columns.map(function (column) { return pad(column, 12); }).join(""));
+
+    radixTrees.FLAVORS.forEach(function (name) {
+        var create = function () { return radixTrees.create({ flavor: name, logger: null }); },
+            radixTree = create(),
+            builtTree = create(),
+            deepTree = create(),
+            results = [];
+
+        results.push(time(keys, function (key, i) { radixTree.insert(key, i); }));
+        results.push(time([pairs], function (batch) { builtTree.insertMany(batch); }, pairs.length));
+        results.push(time(keys, function (key) { radixTree.get(key); }));
+        results.push(time(prefixes, function (prefix) { radixTree.search(prefix, { limit: 10 }); }));
+        results.push(time(keys, function (key) { radixTree.remove(key); }));
+        results.push(time(chain, function (key, i) { deepTree.insert(key, i); }));
+
+        console.log(pad(name, 12) + results.map(function (result) { return pad(result, 12); }).join(""));
+    });
+}
+
+run();
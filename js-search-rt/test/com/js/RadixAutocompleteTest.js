@@ -0,0 +1,166 @@
+var RadixAutocompleteTest = TestCase("RadixAutocompleteTest", {
+
+    setUp: function () {
+        var radixTree = newTree({ logger: null }),
+            test = this;
+
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Man 2", "Blu-ray");
+        radixTree.insert("Iron Lady", "DVD");
+        radixTree.insert("Thor", "DVD");
+
+        this.source = RadixTreeReader(radixTree.buildJSONString());
+        this.selected = [];
+        this.$form = $("<div/>").appendTo(document.body);
+        this.$input = $("<input type=\"text\"/>").appendTo(this.$form).radixAutocomplete({
+            source: this.source,
+            select: function (e, result) {
+                test.selected.push(result);
+            }
+        });
+        this.$list = this.$input.next("ul");
+    },
+
+    tearDown: function () {
+        this.$form.remove();
+    },
+
+    testSuggestions: function () {
+        var $list = this.$list;
+
+        assertEquals("off", this.$input.attr("autocomplete"));
+        assertFalse($list.is(":visible"));
+
+        //the typed prefix is highlighted in every suggestion
+        typeInto(this.$input, "Iron M");
+        assertTrue($list.is(":visible"));
+        assertEquals(["iron man", "iron man 2"], suggestions($list));
+        assertEquals(2, $list.find("span.match").length);
+        assertEquals("iron m", $list.find("li:eq(1) span.match").text());
+
+        typeInto(this.$input, "thor");
+        assertEquals(["thor"], suggestions($list));
+        assertEquals("thor", $list.find("span.match").text());
+
+        //nothing found hides the list
+        typeInto(this.$input, "Hulk");
+        assertEquals([], suggestions($list));
+        assertFalse($list.is(":visible"));
+    },
+
+    testLimitAndMinLength: function () {
+        var $input = $("<input type=\"text\"/>").appendTo(this.$form).radixAutocomplete({
+                source: this.source,
+                limit: 1,
+                minLength: 2
+            }),
+            $list = $input.next("ul");
+
+        typeInto($input, "i");
+        assertEquals([], suggestions($list));
+        assertFalse($list.is(":visible"));
+        typeInto($input, "ir");
+        assertEquals(["iron lady"], suggestions($list));
+
+        //the default limit and minLength
+        typeInto(this.$input, "i");
+        assertEquals(["iron lady", "iron man", "iron man 2"], suggestions(this.$list));
+    },
+
+    testKeyboardNavigation: function () {
+        var $list = this.$list;
+
+        typeInto(this.$input, "iron");
+        assertEquals(["iron lady", "iron man", "iron man 2"], suggestions($list));
+        assertEquals(0, $list.find("li.active").length);
+
+        pressKey(this.$input, "keydown", 40);
+        assertEquals("iron lady", $list.find("li.active").text());
+        pressKey(this.$input, "keydown", 40);
+        pressKey(this.$input, "keydown", 40);
+        assertEquals("iron man 2", $list.find("li.active").text());
+
+        //moving past either end deselects the list before wrapping around
+        pressKey(this.$input, "keydown", 40);
+        assertEquals(0, $list.find("li.active").length);
+        pressKey(this.$input, "keydown", 38);
+        assertEquals("iron man 2", $list.find("li.active").text());
+
+        //arrow keyups don't search again
+        pressKey(this.$input, "keyup", 38);
+        assertEquals("iron man 2", $list.find("li.active").text());
+
+        pressKey(this.$input, "keydown", 27);
+        assertEquals([], suggestions($list));
+        assertFalse($list.is(":visible"));
+    },
+
+    testSelect: function () {
+        typeInto(this.$input, "iron");
+        pressKey(this.$input, "keydown", 40);
+        pressKey(this.$input, "keydown", 40);
+        pressKey(this.$input, "keydown", 13);
+
+        assertEquals("iron man", this.$input.val());
+        assertFalse(this.$list.is(":visible"));
+        assertEquals([{ keyword: "iron_man", data: ["DVD"] }], this.selected);
+
+        //the filled in value isn't searched again
+        pressKey(this.$input, "keyup", 78);
+        assertEquals([], suggestions(this.$list));
+
+        //enter without an active suggestion selects nothing
+        typeInto(this.$input, "thor");
+        pressKey(this.$input, "keydown", 13);
+        assertEquals(1, this.selected.length);
+
+        //a click selects the suggestion it lands on
+        this.$list.children().eq(0).trigger("mousedown");
+        assertEquals("thor", this.$input.val());
+        assertEquals({ keyword: "thor", data: ["DVD"] }, this.selected[1]);
+    }
+});
+
+/*****
+ * @private
+ * typeInto()
+ * The purpose of this function is to set the value of the input and
+ *   release the last key typed, like a keystroke does.
+ *
+ * @params
+ * $input = mandatory, jQuery object of the autocomplete input
+ * value = mandatory, String typed into the input
+ */
+function typeInto($input, value) {
+    $input.val(value);
+    pressKey($input, "keyup", value.toUpperCase().charCodeAt(value.length - 1));
+}
+
+/*****
+ * @private
+ * pressKey()
+ * The purpose of this function is to trigger a key event on the input.
+ *
+ * @params
+ * $input = mandatory, jQuery object of the autocomplete input
+ * type = mandatory, String "keydown" or "keyup"
+ * which = mandatory, int key code
+ */
+function pressKey($input, type, which) {
+    $input.trigger($.Event(type, { which: which, keyCode: which }));
+}
+
+/*****
+ * @private
+ * suggestions()
+ * The purpose of this function is to get the text of every suggestion
+ *   in the list.
+ *
+ * @param
+ * $list = mandatory, jQuery object of the suggestion list
+ */
+function suggestions($list) {
+    return $list.children().map(function () {
+        return $(this).text();
+    }).get();
+}
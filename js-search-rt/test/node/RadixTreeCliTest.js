@@ -0,0 +1,284 @@
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * radix-tree command line tests
+ * Runs src/svr/bin/radix-tree.js in a child process for every command
+ *   and checks its output and exit status. The tree files are written
+ *   to a temporary directory removed after the tests.
+ *
+ * how to use:
+ *   node test/node/RadixTreeCliTest.js
+ *     //exits with 1 when a test fails
+ */
+var assert = require("assert"),
+    childProcess = require("child_process"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path");
+
+var BIN = path.join(__dirname, "..", "..", "src", "svr", "bin", "radix-tree.js"),
+    EXIT = {
+        SUCCESS: 0,
+        NOT_FOUND: 1,
+        ERROR: 2
+    },
+    CSV = "title,format,rank\n" +
+        "Iron Man,DVD,2\n" +
+        "Iron Man 2,Blu-ray,1\n" +
+        "\"Star Wars, Episode 1\",VHS,3\n";
+
+/***************************************************************************
+ * Tests
+ */
+
+var TESTS = {
+    testBuild: function (dir) {
+        var result = cli(["build", file(dir, "movies.csv"), "--header", "--key", "title", "--data", "format",
+                "--weight", "rank", "--output", file(dir, "movies.json")]),
+            tree;
+
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.strictEqual(result.stdout, "");
+        tree = JSON.parse(fs.readFileSync(file(dir, "movies.json"), "utf8"));
+        assert.strictEqual(tree.format, "json");
+
+        //the default weight of 1 isn't exported
+        assert.deepStrictEqual(tree.weights, { iron_man: [2], "star_wars,_episode_1": [3] });
+
+        //stdin is read with -, and the export is written to stdout
+        result = cli(["build", "-", "--format", "tsv", "--export", "compact"], "Thor\tDVD\n");
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.strictEqual(JSON.parse(result.stdout).format, "compact");
+    },
+
+    testBuildErrors: function (dir) {
+        assertError(cli(["build", file(dir, "movies.txt")]), "can't tell the format of");
+        assertError(cli(["build", file(dir, "missing.csv")]), "can't read");
+        assertError(cli(["build", file(dir, "movies.csv"), "--key", "name"]), "the header row has no column 'name'");
+        assertError(cli(["build", file(dir, "movies.csv"), "--export", "xml"]), "unknown export format 'xml'");
+        assertError(cli(["build", "-", "--format", "jsonl"], "{\"key\":\"Thor\"}\n{\"key\":\n"), "invalid JSON on line 2");
+        assertError(cli(["build", file(dir, "movies.csv"), "--output"]), "--output needs a value");
+    },
+
+    testQuery: function (dir) {
+        var tree = build(dir),
+            result = cli(["query", tree, "Iron"]);
+
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.deepStrictEqual(lines(result.stdout).map(JSON.parse), [
+            { keyword: "iron_man", data: ["DVD"] },
+            { keyword: "iron_man_2", data: ["Blu-ray"] }
+        ]);
+        assert.strictEqual(lines(cli(["query", tree, "iron", "--limit", "1"]).stdout).length, 1);
+
+        //compact files are queried the same way
+        result = cli(["query", build(dir, "compact"), "star"]);
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout), { keyword: "star_wars,_episode_1", data: ["VHS"] });
+
+        //nothing found
+        result = cli(["query", tree, "Thor"]);
+        assert.strictEqual(result.status, EXIT.NOT_FOUND, result.stderr);
+        assert.strictEqual(result.stdout, "");
+
+        assertError(cli(["query", tree]), "query needs a prefix");
+        assertError(cli(["query", tree, "iron", "--limit", "0"]), "--limit must be a positive int");
+        assertError(cli(["query", file(dir, "movies.csv"), "iron"]), "'" + file(dir, "movies.csv") + "' isn't a tree file");
+    },
+
+    testStats: function (dir) {
+        var tree = build(dir),
+            result = cli(["stats", tree]),
+            stats;
+
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        stats = JSON.parse(result.stdout);
+        assert.deepStrictEqual(stats, {
+            file: tree,
+            format: "json",
+            version: stats.version,
+            bytes: fs.statSync(tree).size,
+            keywordCount: 3,
+            dataCount: 3
+        });
+        assert.strictEqual(JSON.parse(cli(["stats", build(dir, "compact")]).stdout).format, "compact");
+        assertError(cli(["stats", file(dir, "missing.json")]), "can't read");
+    },
+
+    testExport: function (dir) {
+        var tree = build(dir),
+            compact = file(dir, "export.json"),
+            result = cli(["export", tree, "--format", "compact", "--output", compact]);
+
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.strictEqual(fs.readFileSync(compact, "utf8"), fs.readFileSync(build(dir, "compact"), "utf8"));
+
+        //the minified JSON holds the same tree
+        result = cli(["export", tree, "--format", "json", "--minify"]);
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout), JSON.parse(fs.readFileSync(tree, "utf8")));
+        assert.strictEqual(lines(result.stdout).length, 1);
+
+        assertError(cli(["export", compact, "--format", "json"]), "'" + compact + "' is compact");
+        assertError(cli(["export", tree, "--format", "xml"]), "unknown export format 'xml'");
+    },
+
+    testDiff: function (dir) {
+        var tree = build(dir),
+            changed = file(dir, "changed.json"),
+            result;
+
+        fs.writeFileSync(file(dir, "changed.csv"), "Iron Man,VHS\nIron Man 2,Blu-ray\nThor,DVD\n");
+        cli(["build", file(dir, "changed.csv"), "--output", changed]);
+
+        //the same keywords in either format
+        result = cli(["diff", tree, build(dir, "compact")]);
+        assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+        assert.strictEqual(result.stdout, "");
+
+        result = cli(["diff", tree, changed]);
+        assert.strictEqual(result.status, EXIT.NOT_FOUND, result.stderr);
+        assert.deepStrictEqual(lines(result.stdout), [
+            "- iron_man\t[\"DVD\"]",
+            "+ iron_man\t[\"VHS\"]",
+            "- star_wars,_episode_1\t[\"VHS\"]",
+            "+ thor\t[\"DVD\"]"
+        ]);
+
+        assertError(cli(["diff", tree]), "diff needs a tree");
+        assertError(cli(["diff", tree, file(dir, "missing.json")]), "can't read");
+    },
+
+    testUsage: function () {
+        assertError(cli([]), "usage: radix-tree build|query|stats|export|diff");
+        assertError(cli(["list"]), "unknown command 'list'");
+    }
+};
+
+/***************************************************************************
+ * Utility Functions
+ */
+
+/*****
+ * @private
+ * cli()
+ * The purpose of this function is to run the command line with the
+ *   arguments and wait for it to exit.
+ *
+ * @params
+ * args = mandatory, String[] arguments after the script
+ * input = optional, String written to stdin
+ */
+function cli(args, input) {
+    var result = childProcess.spawnSync(process.execPath, [BIN].concat(args), {
+        input: input || "",
+        encoding: "utf8",
+        timeout: 30000
+    });
+
+    if (result.error) {
+        throw result.error;
+    }
+    return result;
+}
+
+/*****
+ * @private
+ * build()
+ * The purpose of this function is to build the tree file of the movies
+ *   in the export format.
+ *
+ * @params
+ * dir = mandatory, String temporary directory
+ * format = optional, String "json" or "compact", defaults to "json"
+ */
+function build(dir, format) {
+    var output = file(dir, "movies." + (format || "json") + ".tree"),
+        result = cli(["build", file(dir, "movies.csv"), "--header", "--export", format || "json", "--output", output]);
+
+    assert.strictEqual(result.status, EXIT.SUCCESS, result.stderr);
+    return output;
+}
+
+/*****
+ * @private
+ * assertError()
+ * The purpose of this function is to check that the command failed with
+ *   the error status and reported the message on stderr.
+ *
+ * @params
+ * result = mandatory, Object returned by cli()
+ * message = mandatory, String the error starts with after "radix-tree: "
+ */
+function assertError(result, message) {
+    assert.strictEqual(result.status, EXIT.ERROR, result.stdout);
+    assert.strictEqual(result.stdout, "");
+    assert.ok(result.stderr.indexOf("radix-tree: " + message) === 0, result.stderr);
+}
+
+/*****
+ * @private
+ * file()
+ * The purpose of this function is to get the path of a file in the
+ *   temporary directory.
+ *
+ * @params
+ * dir = mandatory, String temporary directory
+ * name = mandatory, String name of the file
+ */
+function file(dir, name) {
+    return path.join(dir, name);
+}
+
+/*****
+ * @private
+ * lines()
+ * The purpose of this function is to split the output into its lines.
+ *
+ * @param
+ * text = mandatory, String output
+ */
+function lines(text) {
+    return text.split("\n").filter(function (line) {
+        return line !== "";
+    });
+}
+
+/***************************************************************************
+ * Runner Functions
+ */
+
+/*****
+ * @private
+ * run()
+ * The purpose of this function is to run every test in a new temporary
+ *   directory holding the movies input, and exit with 1 when a test fails.
+ */
+function run() {
+    var counts = { passed: 0, failed: 0 };
+
+    Object.keys(TESTS).forEach(function (test) {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "radix-tree-"));
+
+        try {
+            fs.writeFileSync(file(dir, "movies.csv"), CSV);
+            TESTS[test](dir);
+            counts.passed++;
+        } catch (e) {
+            counts.failed++;
+            console.log("  FAILED " + test + ": " + (e instanceof assert.AssertionError ? e.message : e.stack));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    console.log("  " + counts.passed + " passed, " + counts.failed + " failed");
+    process.exitCode = counts.failed ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,297 @@
+"use strict";
+
+/*!
+ * Copyright (c) 2012 Adam Eilers
+ * See the file LICENSE.txt for copying permission.
+ */
+
+/*****
+ * RadixTree shared test suite
+ * Runs the JsTestDriver test cases of test/svr/js in Node against every
+ *   flavor, so the prototypal, classical and closure implementations
+ *   stay equivalent. JsTestDriver only tests the flavor it loads last.
+ *   The test cases are loaded once per flavor with the global RadixTree
+ *   of that flavor, next to the assertions of JsTestDriver they use,
+ *   after the helpers of test/svr/lib they share.
+ *
+ * how to use:
+ *   node test/node/RadixTreeSuite.js [flavor]
+ *     //exits with 1 when a test fails
+ */
+var vm = require("vm"),
+    fs = require("fs"),
+    path = require("path"),
+    radixTrees = require("../../src/svr/index.js");
+
+var TEST_DIRS = [
+    path.join(__dirname, "..", "svr", "lib"),
+    path.join(__dirname, "..", "svr", "js")
+];
+
+/***************************************************************************
+ * JsTestDriver Functions
+ */
+
+/*****
+ * @private
+ * jsTestDriver()
+ * The purpose of this function is to create the globals of JsTestDriver
+ *   used by the test cases. Every assertion takes an optional message
+ *   as its first argument, like in JsTestDriver.
+ *
+ * @param
+ * cases = mandatory, Array the test cases are added to
+ */
+function jsTestDriver(cases) {
+    return {
+        TestCase: function TestCase(name, prototype) {
+            var testCase = function () {};
+
+            testCase.prototype = prototype || {};
+            cases.push({ name: name, testCase: testCase });
+            return testCase;
+        },
+        assertEquals: assertion(2, function (expected, actual) {
+            return equal(expected, actual) || "expected " + format(expected) + " but was " + format(actual);
+        }),
+        assertNotEquals: assertion(2, function (expected, actual) {
+            return !equal(expected, actual) || "expected not " + format(expected);
+        }),
+        assertSame: assertion(2, function (expected, actual) {
+            return expected === actual || "expected the same object as " + format(expected);
+        }),
+        assertNotSame: assertion(2, function (expected, actual) {
+            return expected !== actual || "expected another object than " + format(expected);
+        }),
+        assertTrue: assertion(1, function (actual) {
+            return actual === true || "expected true but was " + format(actual);
+        }),
+        assertFalse: assertion(1, function (actual) {
+            return actual === false || "expected false but was " + format(actual);
+        }),
+        assertNull: assertion(1, function (actual) {
+            return actual === null || "expected null but was " + format(actual);
+        }),
+        assertNotNull: assertion(1, function (actual) {
+            return actual !== null || "expected not null";
+        }),
+        assertUndefined: assertion(1, function (actual) {
+            return typeof actual === "undefined" || "expected undefined but was " + format(actual);
+        }),
+        assertNotUndefined: assertion(1, function (actual) {
+            return typeof actual !== "undefined" || "expected not undefined";
+        }),
+        assertException: assertion(1, function (callback, name) {
+            try {
+                callback();
+            } catch (e) {
+                return !name || e.name === name || "expected " + name + " but was " + e.name + ": " + e.message;
+            }
+            return "expected an exception" + (name ? " " + name : "");
+        }),
+        assertNoException: assertion(1, function (callback) {
+            try {
+                callback();
+            } catch (e) {
+                return "expected no exception but was " + e.name + ": " + e.message;
+            }
+            return true;
+        }),
+        fail: function fail(message) {
+            throw new AssertError(message);
+        },
+        jstestdriver: {
+            console: {
+                log: function log(message) {
+                    console.log("    [LOG] " + message);
+                }
+            }
+        }
+    };
+}
+
+/*****
+ * @private
+ * assertion()
+ * The purpose of this function is to create an assertion from a check
+ *   returning true or the reason it failed.
+ *
+ * @params
+ * arity = mandatory, int amount of arguments without the message
+ * check = mandatory, Function(args...) returning true or a String
+ */
+function assertion(arity, check) {
+    return function () {
+        var args = Array.prototype.slice.call(arguments),
+            message = args.length > arity && typeof args[0] === "string" ? args.shift() : "",
+            result = check.apply(null, args);
+
+        if (result !== true) {
+            throw new AssertError((message ? message + " " : "") + result);
+        }
+        return true;
+    };
+}
+
+/*****
+ * @private
+ * equal()
+ * The purpose of this function is to compare values the way
+ *   assertEquals() of JsTestDriver does, Arrays and Objects by their
+ *   members.
+ *
+ * @params
+ * expected = mandatory, expected value
+ * actual = mandatory, actual value
+ */
+function equal(expected, actual) {
+    var keys;
+
+    if (expected === actual) {
+        return true;
+    }
+    if (expected === null || actual === null || typeof expected !== "object" || typeof actual !== "object") {
+        return false;
+    }
+    if (Array.isArray(expected) !== Array.isArray(actual)) {
+        return false;
+    }
+    keys = Object.keys(expected);
+    if (keys.length !== Object.keys(actual).length) {
+        return false;
+    }
+    return keys.every(function (key) {
+        return Object.prototype.hasOwnProperty.call(actual, key) && equal(expected[key], actual[key]);
+    });
+}
+
+/*****
+ * @private
+ * format()
+ * The purpose of this function is to print a value in a failed assertion.
+ *
+ * @param
+ * value = mandatory, value to print
+ */
+function format(value) {
+    try {
+        return typeof value === "undefined" ? "undefined" : JSON.stringify(value);
+    } catch (e) {
+        return String(value);
+    }
+}
+
+/*****
+ * @private
+ * AssertError()
+ * The purpose of this function is to create the error thrown by
+ *   failed assertions.
+ *
+ * @param
+ * message = mandatory, String explaining the failure
+ */
+function AssertError(message) {
+    this.name = "AssertError";
+    this.message = message;
+    this.stack = (new Error(message)).stack;
+}
+AssertError.prototype = Object.create(Error.prototype, {
+    constructor: { value: AssertError, writable: true, configurable: true }
+});
+
+/***************************************************************************
+ * Runner Functions
+ */
+
+/*****
+ * @private
+ * runFlavor()
+ * The purpose of this function is to load the test helpers and then
+ *   the test cases with the RadixTree of the flavor and run every test,
+ *   calling setUp() and tearDown() around it. Test files that fail to load count as a
+ *   failed test.
+ *
+ * @param
+ * name = mandatory, String flavor to test
+ */
+function runFlavor(name) {
+    var cases = [],
+        globals = jsTestDriver(cases),
+        counts = { passed: 0, failed: 0 };
+
+    globals.RadixTree = radixTrees.flavor(name);
+    globals.RadixTreeReader = radixTrees.RadixTreeReader;
+    Object.keys(globals).forEach(function (key) {
+        global[key] = globals[key];
+    });
+
+    console.log(name);
+    TEST_DIRS.forEach(function (dir) {
+        fs.readdirSync(dir).filter(function (file) {
+            return /\.js$/.test(file);
+        }).sort().forEach(function (file) {
+            try {
+                vm.runInThisContext(fs.readFileSync(path.join(dir, file), "utf8"), { filename: file });
+            } catch (e) {
+                report(counts, file, e);
+            }
+        });
+    });
+
+    cases.forEach(function (testCase) {
+        Object.keys(testCase.testCase.prototype).filter(function (key) {
+            return /^test/.test(key) && typeof testCase.testCase.prototype[key] === "function";
+        }).forEach(function (test) {
+            var instance = new testCase.testCase();
+
+            try {
+                if (typeof instance.setUp === "function") {
+                    instance.setUp();
+                }
+                instance[test]();
+                if (typeof instance.tearDown === "function") {
+                    instance.tearDown();
+                }
+                counts.passed++;
+            } catch (e) {
+                report(counts, testCase.name + "." + test, e);
+            }
+        });
+    });
+
+    console.log("  " + counts.passed + " passed, " + counts.failed + " failed");
+    return counts;
+}
+
+/*****
+ * @private
+ * report()
+ * The purpose of this function is to print a failed test and count it.
+ *
+ * @params
+ * counts = mandatory, Object counting passed and failed tests
+ * test = mandatory, String name of the test
+ * error = mandatory, Error thrown by the test
+ */
+function report(counts, test, error) {
+    counts.failed++;
+    console.log("  FAILED " + test + ": " + (error instanceof AssertError ? error.message : error.stack));
+}
+
+/*****
+ * @private
+ * run()
+ * The purpose of this function is to test the flavor passed on the
+ *   command line or every flavor, and exit with 1 when a test fails.
+ */
+function run() {
+    var flavors = process.argv[2] ? [process.argv[2]] : radixTrees.FLAVORS,
+        failed = 0;
+
+    flavors.forEach(function (name) {
+        failed += runFlavor(name).failed;
+    });
+    process.exitCode = failed ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,188 @@
+var RadixTreeIterationTest = TestCase("RadixTreeIterationTest", {
+
+    setUp: function () {
+        var keys = ["bb", "a", "abd", "c", "abc", "b", "ba"];
+
+        //"ab" only exists as the node shared by "abc" and "abd"
+        this.radixTree = newTree({ logger: null });
+        for (var i = 0; i < keys.length; i++) {
+            this.radixTree.insert(keys[i], keys[i].toUpperCase());
+        }
+    },
+
+    testIteratorsInOrder: function () {
+        var radixTree = this.radixTree,
+            order = ["a", "abc", "abd", "b", "ba", "bb", "c"],
+            visited = [];
+
+        assertEquals(order, collect(radixTree.keys()));
+        assertEquals(order.map(function (key) { return [key.toUpperCase()]; }), collect(radixTree.values()));
+        assertEquals(order.map(function (key) { return [key, [key.toUpperCase()]]; }), collect(radixTree.entries()));
+        radixTree.forEach(function (key, data) {
+            visited.push(key);
+            data.push("VHS");
+        });
+        assertEquals(order, visited);
+
+        //the iterators return copies of the data
+        assertEquals(["A"], radixTree.get("a"));
+        assertEquals([], collect(newTree().keys()));
+        if (typeof Symbol === "function" && Symbol.iterator) {
+            assertEquals(order, Array.from(radixTree.keys()));
+        }
+    },
+
+    testIteratorsWithPrefix: function () {
+        var radixTree = this.radixTree;
+
+        assertEquals(["abc", "abd"], collect(radixTree.keys({ prefix: "ab" })));
+        assertEquals(["abc"], collect(radixTree.keys({ prefix: "ABC" })));
+        assertEquals(["b", "ba", "bb"], collect(radixTree.keys({ prefix: "b" })));
+        assertEquals([], collect(radixTree.keys({ prefix: "abe" })));
+        assertEquals([], collect(radixTree.keys({ prefix: "d" })));
+        assertEquals(["ba", "bb"], collect(radixTree.keys({ prefix: "b", from: "b_" })));
+    },
+
+    testIteratorBounds: function () {
+        var radixTree = this.radixTree;
+
+        //the first key is included, the end key is excluded
+        assertEquals(["abc", "abd", "b"], collect(radixTree.keys({ from: "abc", to: "ba" })));
+        assertEquals([["abc", ["ABC"]]], collect(radixTree.entries({ from: "abc", to: "abd" })));
+        assertEquals(["abc", "abd"], collect(radixTree.keys({ from: "ab", to: "b" })));
+        assertEquals(["a", "abc", "abd", "b", "ba", "bb", "c"], collect(radixTree.keys({ from: "", to: "d" })));
+        assertEquals(["bb", "c"], collect(radixTree.keys({ from: "bab" })));
+        assertEquals(["a", "abc"], collect(radixTree.keys({ to: "abd" })));
+
+        //empty ranges
+        assertEquals([], collect(radixTree.keys({ from: "abc", to: "abc" })));
+        assertEquals([], collect(radixTree.keys({ from: "c", to: "a" })));
+        assertEquals([], collect(radixTree.keys({ from: "abe", to: "b" })));
+        assertEquals([], collect(radixTree.keys({ from: "d" })));
+        assertEquals([], collect(radixTree.keys({ to: "a" })));
+
+        assertEquals(["abd"], collect(radixTree.keys({ from: "abd", prefix: "a" })));
+    },
+
+    testRangeBounds: function () {
+        var radixTree = this.radixTree;
+
+        //the first key is included, the end key is excluded
+        assertEquals(["abc", "abd", "b"], keywords(radixTree.range("abc", "ba")));
+        assertEquals([{ keyword: "abc", data: ["ABC"] }], radixTree.range("abc", "abd"));
+        assertEquals(["abc", "abd"], keywords(radixTree.range("ab", "b")));
+        assertEquals(["a", "abc", "abd", "b", "ba", "bb", "c"], keywords(radixTree.range("", "d")));
+        assertEquals(["bb", "c"], keywords(radixTree.range("bab", "z")));
+
+        //empty ranges
+        assertEquals([], radixTree.range("abc", "abc"));
+        assertEquals([], radixTree.range("c", "a"));
+        assertEquals([], radixTree.range("abe", "b"));
+        assertEquals([], radixTree.range("d", "z"));
+        assertEquals([], radixTree.range("", "a"));
+
+        assertEquals(["b", "ba"], keywords(radixTree.range("", "d", { prefix: "b", limit: 2 })));
+        assertEquals(["abd"], keywords(radixTree.range("abd", "z", { prefix: "a" })));
+        assertEquals([], radixTree.range("a", "z", { limit: 0 }));
+    },
+
+    testFloorAndCeiling: function () {
+        var radixTree = this.radixTree;
+
+        //below the minimum and above the maximum
+        assertUndefined(radixTree.floor("0"));
+        assertEquals({ keyword: "a", data: ["A"] }, radixTree.ceiling("0"));
+        assertEquals({ keyword: "c", data: ["C"] }, radixTree.floor("z"));
+        assertUndefined(radixTree.ceiling("z"));
+
+        //an exact hit is its own floor and ceiling
+        assertEquals({ keyword: "abd", data: ["ABD"] }, radixTree.floor("abd"));
+        assertEquals({ keyword: "abd", data: ["ABD"] }, radixTree.ceiling("abd"));
+
+        //a key that is only a prefix of keywords comes after the keyword before it
+        assertEquals({ keyword: "a", data: ["A"] }, radixTree.floor("ab"));
+        assertEquals({ keyword: "abc", data: ["ABC"] }, radixTree.ceiling("ab"));
+        assertEquals({ keyword: "abd", data: ["ABD"] }, radixTree.floor("abz"));
+        assertEquals({ keyword: "b", data: ["B"] }, radixTree.ceiling("abz"));
+        assertEquals({ keyword: "abc", data: ["ABC"] }, radixTree.floor("abcd"));
+        assertEquals({ keyword: "abd", data: ["ABD"] }, radixTree.ceiling("abcd"));
+
+        assertUndefined(newTree().floor("a"));
+        assertUndefined(newTree().ceiling("a"));
+    },
+
+    testNextAfter: function () {
+        var radixTree = this.radixTree,
+            pages = [],
+            page = radixTree.nextAfter("", { limit: 3 });
+
+        //the keywords strictly after the key
+        assertEquals(["abd", "b"], keywords(radixTree.nextAfter("abc", { limit: 2 })));
+        assertEquals(["abc", "abd"], keywords(radixTree.nextAfter("ab", { limit: 2 })));
+        assertEquals(["a"], keywords(radixTree.nextAfter("0", { limit: 1 })));
+        assertEquals([], radixTree.nextAfter("c"));
+        assertEquals([], radixTree.nextAfter("z"));
+        assertEquals(["ba", "bb"], keywords(radixTree.nextAfter("b", { prefix: "b" })));
+
+        //paging with the last keyword of every page visits every keyword once
+        while (page.length) {
+            pages.push(keywords(page));
+            page = radixTree.nextAfter(page[page.length - 1].keyword, { limit: 3 });
+        }
+        assertEquals([["a", "abc", "abd"], ["b", "ba", "bb"], ["c"]], pages);
+    },
+
+    testIteratorsMatchSortedFuzz: function () {
+        var radixTree = newTree({ logger: null }),
+            random = seeded(3),
+            keys = [],
+            from,
+            to;
+
+        for (var i = 0; i < 150; i++) {
+            keys.push(randomKey(random));
+            radixTree.insert(keys[i], i);
+        }
+        keys = keys.filter(function (key, i) {
+            return keys.indexOf(key) === i;
+        }).sort();
+        assertEquals(keys, collect(radixTree.keys()));
+
+        //compare with the sorted keys for random bounds
+        for (i = 0; i < 100; i++) {
+            from = randomKey(random);
+            to = randomKey(random);
+            assertEquals(from + " " + to, keys.filter(function (key) {
+                return key >= from && key < to;
+            }), keywords(radixTree.range(from, to)));
+            assertEquals(from, keys.filter(function (key) {
+                return key <= from;
+            }).pop(), (radixTree.floor(from) || {}).keyword);
+            assertEquals(from, keys.filter(function (key) {
+                return key >= from;
+            })[0], (radixTree.ceiling(from) || {}).keyword);
+            assertEquals(from, keys.filter(function (key) {
+                return key > from;
+            }).slice(0, 3), keywords(radixTree.nextAfter(from, { limit: 3 })));
+        }
+    }
+});
+
+/*****
+ * @private
+ * collect()
+ * The purpose of this function is to read every value of an iterator
+ *   returned by keys(), values() or entries().
+ *
+ * @param
+ * iterator = mandatory, Object with a next() function
+ */
+function collect(iterator) {
+    var values = [],
+        step;
+
+    while (!(step = iterator.next()).done) {
+        values.push(step.value);
+    }
+    return values;
+}
@@ -0,0 +1,341 @@
+var RadixTreeSearchTest = TestCase("RadixTreeSearchTest", {
+
+    setUp: function () {
+        this.radixTree = newTree({ logger: null });
+        this.radixTree.insert("Iron Man", "DVD");
+        this.radixTree.insert("Iron Man 2", "Blu-ray");
+        this.radixTree.insert("Iron Man 3", "DVD");
+        this.radixTree.insert("Iron Lady", "DVD");
+        this.radixTree.insert("Iron Lady", "4K");
+        this.radixTree.insert("Thor", "DVD");
+    },
+
+    testSearchPrefix: function () {
+        var radixTree = this.radixTree;
+
+        //the prefix is processed like the keys and can end in the middle of a node key
+        assertEquals([
+            { keyword: "iron_lady", data: ["DVD", "4K"] },
+            { keyword: "iron_man", data: ["DVD"] },
+            { keyword: "iron_man_2", data: ["Blu-ray"] },
+            { keyword: "iron_man_3", data: ["DVD"] }
+        ], radixTree.search("Iron"));
+        assertEquals(["iron_man", "iron_man_2", "iron_man_3"], keywords(radixTree.search("iron m")));
+        assertEquals(["iron_man_2"], keywords(radixTree.search("Iron Man 2")));
+        assertEquals(["thor"], keywords(radixTree.search("T")));
+    },
+
+    testSearchMisses: function () {
+        var radixTree = this.radixTree;
+
+        assertEquals([], radixTree.search("Hulk"));
+        assertEquals([], radixTree.search("Iron Max"));
+        assertEquals([], radixTree.search("Iron Man 2 Extended"));
+        assertEquals([], newTree().search("iron"));
+    },
+
+    testSearchLimit: function () {
+        var radixTree = this.radixTree;
+
+        //an empty prefix matches every keyword in order
+        assertEquals(["iron_lady", "iron_man", "iron_man_2", "iron_man_3", "thor"], keywords(radixTree.search("")));
+        assertEquals(["iron_lady", "iron_man"], keywords(radixTree.search("iron", { limit: 2 })));
+        assertEquals(["iron_lady"], keywords(radixTree.search("", { limit: 1 })));
+
+        //the search returns copies of the data
+        radixTree.search("thor")[0].data.push("VHS");
+        assertEquals(["DVD"], radixTree.get("thor"));
+    },
+
+    testFuzzySearchDistance: function () {
+        var radixTree = this.radixTree;
+
+        radixTree.insert("Iron Mask", "DVD");
+        radixTree.insert("Iron Mask", "4K");
+        radixTree.insert("Iron Men", "DVD");
+
+        assertEquals([{ keyword: "iron_man", data: ["DVD"], distance: 1 }], radixTree.fuzzySearch("Iron Mam", { maxDistance: 1 }));
+        //ranked by distance, then by amount of data, then by keyword
+        assertEquals([
+            { keyword: "iron_man", data: ["DVD"], distance: 1 },
+            { keyword: "iron_mask", data: ["DVD", "4K"], distance: 2 },
+            { keyword: "iron_men", data: ["DVD"], distance: 2 }
+        ], radixTree.fuzzySearch("Iron Mam"));
+        assertEquals(["iron_man", "iron_mask", "iron_men", "iron_lady", "iron_man_2", "iron_man_3"],
+            keywords(radixTree.fuzzySearch("Iron Mam", { maxDistance: 3 })));
+        assertEquals(["thor"], keywords(radixTree.fuzzySearch("thor", { maxDistance: 0 })));
+        assertEquals([], radixTree.fuzzySearch("thro", { maxDistance: 0 }));
+        assertEquals(["thor"], keywords(radixTree.fuzzySearch("thro")));
+        assertEquals([], radixTree.fuzzySearch("hulk"));
+    },
+
+    testFuzzySearchPrefixAndLimit: function () {
+        var radixTree = this.radixTree;
+
+        //every keyword starting within the distance of the query matches
+        assertEquals([
+            { keyword: "iron_lady", data: ["DVD", "4K"], distance: 1 },
+            { keyword: "iron_man", data: ["DVD"], distance: 1 },
+            { keyword: "iron_man_2", data: ["Blu-ray"], distance: 1 },
+            { keyword: "iron_man_3", data: ["DVD"], distance: 1 }
+        ], radixTree.fuzzySearch("irn", { prefix: true, maxDistance: 1 }));
+        assertEquals([], radixTree.fuzzySearch("irn", { maxDistance: 1 }));
+        assertEquals(["iron_man", "iron_man_2", "iron_man_3"], keywords(radixTree.fuzzySearch("iron_man", { prefix: true, maxDistance: 0 })));
+        assertEquals(["iron_lady", "iron_man"], keywords(radixTree.fuzzySearch("irn", { prefix: true, maxDistance: 1, limit: 2 })));
+        assertEquals([], radixTree.fuzzySearch("irn", { prefix: true, maxDistance: 1, limit: 0 }));
+    },
+
+    testFuzzySearchAgainstEditDistance: function () {
+        var radixTree = newTree({ logger: null }),
+            random = seeded(5),
+            keys = [],
+            query,
+            options;
+
+        for (var i = 0; i < 200; i++) {
+            keys.push(randomKey(random));
+            radixTree.insert(keys[i], i);
+        }
+        keys = keys.filter(function (key, i) {
+            return keys.indexOf(key) === i;
+        });
+
+        //compare with the edit distance of every keyword, or of every prefix of it
+        for (i = 0; i < 100; i++) {
+            query = randomKey(random);
+            options = { maxDistance: random(3), prefix: random(2) === 1 };
+            assertEquals(query + " " + JSON.stringify(options),
+                fuzzyMatches(radixTree, keys, query, options), radixTree.fuzzySearch(query, options));
+        }
+    },
+
+    testTokenizedLookups: function () {
+        var radixTree = newTree({ tokenize: true, logger: null });
+
+        radixTree.insert("The Dark Knight", "DVD");
+        radixTree.insert("The Dark Knight", { format: "4K" });
+        radixTree.insert("The Dark Knight Rises", "DVD");
+
+        //lookups use the full key, not its tokens
+        assertEquals(["DVD", { format: "4K" }], radixTree.get("The Dark Knight"));
+        assertEquals(["DVD"], radixTree.get("the dark knight rises"));
+        assertUndefined(radixTree.get("Dark Knight"));
+        assertUndefined(radixTree.get("dark"));
+        assertUndefined(radixTree.get("The"));
+        assertUndefined(radixTree.get(""));
+        assertTrue(radixTree.has("The Dark Knight"));
+        assertFalse(radixTree.has("Knight"));
+        assertTrue(radixTree.hasData("The Dark Knight", { format: "4K" }));
+        assertFalse(radixTree.hasData("The Dark Knight Rises", { format: "4K" }));
+
+        radixTree.remove("The Dark Knight", "DVD");
+        assertEquals([{ format: "4K" }], radixTree.get("The Dark Knight"));
+        radixTree.remove("The Dark Knight Rises");
+        assertFalse(radixTree.has("The Dark Knight Rises"));
+    },
+
+    testQueryStopWords: function () {
+        var radixTree = newTree({ tokenize: true, logger: null });
+
+        radixTree.insert("The Dark Knight", "DVD");
+        radixTree.insert("Return of the King", "DVD");
+        radixTree.insert("The Of", "4K");
+        radixTree.insert("Thor", "DVD");
+
+        //stop words are dropped from the query like from the keys
+        assertEquals(["the_dark_knight"], keywords(radixTree.query("the dark")));
+        assertEquals(["return_of_the_king"], keywords(radixTree.query("king of the")));
+        assertEquals(["return_of_the_king", "the_dark_knight"], keywords(radixTree.query("k")));
+
+        //a query of nothing but stop words matches the keys starting with it
+        assertEquals(["the_of", "the_dark_knight"], keywords(radixTree.query("the")));
+        assertEquals(["the_of"], keywords(radixTree.query("the of")));
+        assertEquals(["the_of"], keywords(radixTree.query("of")));
+        assertEquals([{ keyword: "the_of", data: ["4K"] }], radixTree.query("the", { limit: 1 }));
+        assertEquals([], radixTree.query("a"));
+        assertEquals([], radixTree.query(""));
+    },
+
+    testSynonyms: function () {
+        var radixTree = this.radixTree;
+
+        radixTree.insert("Tony Stark", "DVD");
+        radixTree.insert("Avengers", "DVD");
+        radixTree.addSynonyms(["Iron Man", "Tony Stark"]);
+        radixTree.addSynonyms(["Tony Stark", "Avengers"]);
+
+        assertEquals(["iron_man", "avengers"], radixTree.getSynonyms("Tony Stark"));
+        assertEquals(["tony_stark"], radixTree.getSynonyms("iron man"));
+        assertEquals([], radixTree.getSynonyms("thor"));
+
+        //groups sharing a term aren't merged, a synonym of a synonym isn't searched
+        assertEquals(["tony_stark", "iron_man", "iron_man_2", "iron_man_3", "avengers"], keywords(radixTree.search("Tony Stark")));
+        assertEquals(["iron_man", "iron_man_2", "iron_man_3", "tony_stark"], keywords(radixTree.search("Iron Man")));
+        assertEquals(["avengers", "tony_stark"], keywords(radixTree.search("avengers")));
+
+        //a prefix starting with a term keeps the rest, a prefix of a term searches the synonyms
+        assertEquals(["iron_man_2"], keywords(radixTree.search("Iron Man 2")));
+        assertEquals(["tony_stark", "iron_man", "iron_man_2", "iron_man_3", "avengers"], keywords(radixTree.search("tony")));
+        assertEquals(["iron_man", "iron_man_2", "iron_man_3"], keywords(radixTree.search("Iron Man", { synonyms: false })));
+        assertEquals(["iron_man", "iron_man_2"], keywords(radixTree.search("Iron Man", { limit: 2 })));
+        assertException(function () {
+            radixTree.addSynonyms(["Thor", "thor"]);
+        }, "TypeError");
+
+        //rejected groups don't use up an id
+        assertEquals(2, radixTree.addSynonyms(["Thor", "God of Thunder"]));
+    },
+
+    testRemoveSynonyms: function () {
+        var radixTree = this.radixTree,
+            first = radixTree.addSynonyms(["Iron Man", "Tony Stark"]),
+            second = radixTree.addSynonyms(["Tony Stark", "Avengers"]);
+
+        radixTree.addSynonyms(["Thor", "God of Thunder"]);
+
+        assertEquals(1, radixTree.removeSynonyms(first));
+        assertEquals(0, radixTree.removeSynonyms(first));
+        assertEquals(["avengers"], radixTree.getSynonyms("tony stark"));
+        assertEquals([], radixTree.getSynonyms("iron man"));
+        assertEquals(["iron_man"], keywords(radixTree.search("Iron Man", { limit: 1 })));
+
+        //removing by term removes every group holding it
+        radixTree.addSynonyms(["Iron Man", "Tony Stark"]);
+        assertEquals(2, radixTree.removeSynonyms("Tony Stark"));
+        assertEquals([], radixTree.getSynonyms("avengers"));
+        assertEquals(["god_of_thunder"], radixTree.getSynonyms("thor"));
+        assertEquals(0, radixTree.removeSynonyms(second));
+    },
+
+    testRankedSearchWeights: function () {
+        var radixTree = newTree({ logger: null }),
+            flat = { exactBoost: 1, wordBoost: 1, lengthPenalty: 0 };
+
+        radixTree.insert("Iron Man", "DVD", { weight: 2 });
+        radixTree.insert("Iron Man", "4K", { weight: 9 });
+        radixTree.insert("Iron Man 2", "DVD", { weight: 5 });
+        radixTree.insert("Iron Man 3", "DVD", { weight: 5 });
+        radixTree.insert("Iron Lady", "DVD");
+        radixTree.insert("Ironside", "DVD", { weight: 0 });
+
+        //a keyword weighs as much as its heaviest data, ties are alphabetical
+        assertEquals([
+            { keyword: "iron_man", data: ["4K", "DVD"], weight: 9, score: 9 },
+            { keyword: "iron_man_2", data: ["DVD"], weight: 5, score: 5 },
+            { keyword: "iron_man_3", data: ["DVD"], weight: 5, score: 5 },
+            { keyword: "iron_lady", data: ["DVD"], weight: 1, score: 1 },
+            { keyword: "ironside", data: ["DVD"], weight: 0, score: 0 }
+        ], radixTree.rankedSearch("iron", flat));
+
+        //the exact keyword and whole words are boosted, longer keywords are lowered
+        assertEquals(["iron_man", "iron_man_2", "iron_man_3"], keywords(radixTree.rankedSearch("Iron Man")));
+        assertEquals(9 * 2, radixTree.rankedSearch("Iron Man")[0].score);
+        assertEquals(5 * 1.5 / (1 + 0.05 * 2), radixTree.rankedSearch("Iron Man", { exactBoost: 0 })[0].score);
+        assertEquals(5 / (1 + 0.05), radixTree.rankedSearch("Iron Man ")[0].score);
+        assertEquals([], radixTree.rankedSearch("thor"));
+        assertException(function () {
+            radixTree.insert("Thor", "DVD", { weight: -1 });
+        }, "TypeError");
+    },
+
+    testRankedSearchLimits: function () {
+        var radixTree = this.radixTree;
+
+        assertEquals(["iron_lady", "iron_man"], keywords(radixTree.rankedSearch("iron", { limit: 2, lengthPenalty: 0 })));
+        assertEquals([], radixTree.rankedSearch("iron", { limit: 0 }));
+        assertEquals(5, radixTree.rankedSearch("").length);
+        assertEquals(["thor"], keywords(radixTree.rankedSearch("", { limit: 1, scorer: function (entry) {
+            return entry.keyword === "thor" ? 1 : 0;
+        } })));
+    },
+
+    testRankedSearchAgainstSort: function () {
+        var radixTree = newTree({ logger: null }),
+            random = seeded(11),
+            scorer = function (entry, prefix) {
+                var rest = entry.keyword.length - prefix.length,
+                    boost = 1;
+
+                if (rest === 0) {
+                    boost = RadixTree.RANKING.exactBoost;
+                } else if (prefix.length && entry.keyword.charAt(prefix.length) === "_") {
+                    boost = RadixTree.RANKING.wordBoost;
+                }
+                return entry.weight * boost / (1 + RadixTree.RANKING.lengthPenalty * rest);
+            },
+            prefix,
+            limit,
+            all;
+
+        for (var i = 0; i < 300; i++) {
+            radixTree.insert(randomKey(random), i, { weight: random(20) });
+        }
+
+        //the bounded heap and the skipped subtrees give the top of the full ranking
+        for (i = 0; i < 60; i++) {
+            prefix = randomKey(random).substr(0, random(3));
+            limit = 1 + random(8);
+            all = radixTree.rankedSearch(prefix, { limit: Infinity });
+            assertEquals(prefix + " " + limit, all.slice(0, limit), radixTree.rankedSearch(prefix, { limit: limit }));
+            //a custom scorer without a bound scores every keyword
+            assertEquals(prefix + " " + limit, all.slice(0, limit), radixTree.rankedSearch(prefix, { limit: limit, scorer: scorer }));
+        }
+        assertEquals(radixTree.search("").length, radixTree.rankedSearch("", { limit: Infinity }).length);
+    }
+});
+
+/*****
+ * @private
+ * fuzzyMatches()
+ * The purpose of this function is to find the results fuzzySearch()
+ *   returns by measuring the edit distance of every keyword.
+ *
+ * @params
+ * radixTree = mandatory, tree the keywords were inserted in
+ * keys = mandatory, String[] unique keywords of the tree
+ * query = mandatory, String searched
+ * options = mandatory, Object with maxDistance and prefix
+ */
+function fuzzyMatches(radixTree, keys, query, options) {
+    var results = [];
+
+    keys.forEach(function (key) {
+        var distance = editDistance(query, key);
+
+        for (var i = 0; options.prefix && i < key.length; i++) {
+            distance = Math.min(distance, editDistance(query, key.substr(0, i)));
+        }
+        if (distance <= options.maxDistance) {
+            results.push({ keyword: key, data: radixTree.get(key), distance: distance });
+        }
+    });
+    return results.sort(function (a, b) {
+        return (a.distance - b.distance) || (b.data.length - a.data.length) || (a.keyword < b.keyword ? -1 : 1);
+    });
+}
+
+/*****
+ * @private
+ * editDistance()
+ * The purpose of this function is to calculate the Levenshtein distance
+ *   of two Strings with the full edit distance table.
+ *
+ * @params
+ * a = mandatory, String to compare
+ * b = mandatory, String to compare
+ */
+function editDistance(a, b) {
+    var table = [];
+
+    for (var i = 0; i <= a.length; i++) {
+        table.push([i]);
+        for (var j = 1; j <= b.length; j++) {
+            table[i].push(i === 0 ? j : Math.min(
+                table[i - 1][j] + 1,
+                table[i][j - 1] + 1,
+                table[i - 1][j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+            ));
+        }
+    }
+    return table[a.length][b.length];
+}
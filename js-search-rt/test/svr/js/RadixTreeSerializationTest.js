@@ -0,0 +1,406 @@
+var RadixTreeSerializationTest = TestCase("RadixTreeSerializationTest", {
+
+    setUp: function () {
+        var words = ["the", "dark", "knight", "iron", "man", "star", "wars", "return", "of", "king",
+                "lord", "rings", "last", "stand", "first", "class", "casino", "royale", "bourne", "legacy"],
+            formats = ["DVD", "Blu-ray", "4K"];
+
+        this.radixTree = newTree();
+
+        //catalog of titles sharing prefixes and data, like a store catalog
+        for (var i = 0; i < words.length; i++) {
+            for (var j = 0; j < words.length; j++) {
+                for (var k = 0; k < 5; k++) {
+                    this.radixTree.insert(words[i] + " " + words[j] + " " + (k + 1), formats[(i + j + k) % formats.length]);
+                }
+            }
+        }
+    },
+
+    testMinifiedJSONIsSmaller: function () {
+        var pretty = this.radixTree.buildJSONString(),
+            minified = this.radixTree.buildJSONString({ minify: true });
+
+        assertEquals(JSON.parse(pretty), JSON.parse(minified));
+        assertTrue(minified.length < pretty.length);
+    },
+
+    testCompactIsSmallest: function () {
+        var pretty = this.radixTree.buildJSONString(),
+            minified = this.radixTree.buildJSONString({ minify: true }),
+            compact = this.radixTree.buildCompactString();
+
+        jstestdriver.console.log("RadixTree export sizes, pretty JSON: " + pretty.length +
+            ", minified JSON: " + minified.length + " (" + percent(minified, pretty) + ")" +
+            ", compact: " + compact.length + " (" + percent(compact, pretty) + ")");
+
+        assertTrue(compact.length < minified.length);
+    },
+
+    testCompactReaderMatchesJSONReader: function () {
+        var jsonReader = RadixTreeReader(this.radixTree.buildJSONString()),
+            compactReader = RadixTreeReader(this.radixTree.buildCompactString()),
+            prefixes = ["", "t", "the", "the dark", "the dark knight 3", "lord of", "zzz"];
+
+        assertEquals(jsonReader.keywordCount(), compactReader.keywordCount());
+        assertEquals(jsonReader.dataCount(), compactReader.dataCount());
+
+        for (var i = 0; i < prefixes.length; i++) {
+            assertEquals(jsonReader.search(prefixes[i]), compactReader.search(prefixes[i]));
+            assertEquals(jsonReader.get(prefixes[i]), compactReader.get(prefixes[i]));
+        }
+        assertEquals(["4K"], compactReader.get("Star Wars 1"));
+        assertTrue(compactReader.hasData("star wars 1", "4K"));
+        assertFalse(compactReader.has("star wars 6"));
+        assertEquals(3, compactReader.search("the dark", { limit: 3 }).length);
+    },
+
+    testReaderHasDataMatchesTree: function () {
+        var radixTree = newTree(),
+            reader,
+            data = [
+                { format: "Blu-ray", discs: [1, 2], extras: { commentary: true, trailer: false } },
+                { format: "DVD", discs: [1] }
+            ];
+
+        radixTree.insert("Iron Man", data[0]);
+        radixTree.insert("Iron Man", "DVD");
+        reader = RadixTreeReader(radixTree.buildJSONString());
+
+        //Object keys in any order match, like the deep equality of the tree
+        data.push({ extras: { trailer: false, commentary: true }, discs: [1, 2], format: "Blu-ray" });
+        data.push({ format: "Blu-ray", discs: [2, 1], extras: { commentary: true, trailer: false } });
+        data.push("DVD");
+        data.push("VHS");
+        for (var i = 0; i < data.length; i++) {
+            assertEquals(radixTree.hasData("iron man", data[i]), reader.hasData("iron man", data[i]));
+        }
+        assertTrue(reader.hasData("iron man", data[2]));
+        assertFalse(reader.hasData("iron man", data[3]));
+        assertFalse(reader.hasData("iron", "DVD"));
+    },
+
+    testFromJSONRestoresMutableTree: function () {
+        var json,
+            restored;
+
+        this.radixTree.insert("star wars 1", "VHS", { weight: 5 });
+        json = this.radixTree.buildJSONString();
+        restored = RadixTree.fromJSON(json);
+
+        assertEquals(count(this.radixTree, "keywordCount"), count(restored, "keywordCount"));
+        assertEquals(count(this.radixTree, "dataCount"), count(restored, "dataCount"));
+        assertEquals(json, restored.buildJSONString());
+        assertEquals("star_wars_1", restored.rankedSearch("star", { limit: 1 })[0].keyword);
+
+        //the restored tree is mutable and doesn't share nodes with the JSON
+        restored.insert("star wars 6", "DVD");
+        restored.remove("star wars 1");
+        assertEquals(["DVD"], restored.get("star wars 6"));
+        assertFalse(restored.has("star wars 1"));
+        assertTrue(this.radixTree.has("star wars 1"));
+        assertEquals(count(this.radixTree, "keywordCount"), count(restored, "keywordCount"));
+    },
+
+    testFromJSONRejectsInvalidTrees: function () {
+        assertException(function () {
+            RadixTree.fromJSON('{"normalizers":[],"tree":{"ab":{"$":[1]},"ac":{"$":[2]}}}');
+        }, "TypeError");
+        assertException(function () {
+            RadixTree.fromJSON('{"normalizers":[],"tree":{"a":{"$":[]}}}');
+        }, "TypeError");
+        assertException(function () {
+            RadixTree.fromJSON('{"normalizers":["custom"],"tree":{}}');
+        }, "TypeError");
+        assertException(function () {
+            RadixTree.fromJSON('{"format":"json","version":3,"normalizers":[],"tree":{}}');
+        }, "TypeError");
+    },
+
+    testSynonymsRoundTrip: function () {
+        var radixTree = newTree(),
+            json,
+            restored;
+
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Tony Stark", "DVD");
+        assertUndefined(JSON.parse(radixTree.buildJSONString()).synonyms);
+
+        radixTree.addSynonyms(["Iron Man", "Tony Stark"]);
+        radixTree.removeSynonyms(radixTree.addSynonyms(["Thor", "God of Thunder"]));
+        radixTree.addSynonyms(["Tony Stark", "Avengers"]);
+        json = radixTree.buildJSONString();
+        assertEquals([["iron_man", "tony_stark"], ["tony_stark", "avengers"]], JSON.parse(json).synonyms);
+
+        //the restored groups are searched like the original ones and export the same way
+        restored = RadixTree.fromJSON(json);
+        assertEquals(["iron_man", "avengers"], restored.getSynonyms("Tony Stark"));
+        assertEquals(radixTree.search("tony"), restored.search("tony"));
+        assertEquals(json, restored.buildJSONString());
+        restored.addSynonyms(["Thor", "God of Thunder"]);
+        assertEquals(1, restored.removeSynonyms("thor"));
+        assertEquals(json, restored.buildJSONString());
+
+        //the reader searches the recorded groups like the tree
+        assertEquals(radixTree.search("tony"), RadixTreeReader(json).search("tony"));
+        assertEquals(radixTree.search("Iron Man 2"), RadixTreeReader(json).search("Iron Man 2"));
+        assertEquals(radixTree.search("avengers", { limit: 1 }), RadixTreeReader(json).search("avengers", { limit: 1 }));
+        assertEquals(["tony_stark"], keywords(RadixTreeReader(json).search("tony", { synonyms: false })));
+
+        assertException(function () {
+            RadixTree.fromJSON('{"normalizers":[],"synonyms":[["thor"]],"tree":{}}');
+        }, "TypeError");
+        assertException(function () {
+            RadixTree.fromJSON('{"normalizers":[],"synonyms":{"thor":"god_of_thunder"},"tree":{}}');
+        }, "TypeError");
+    },
+
+    testSpecialNodeKeysRoundTrip: function () {
+        var radixTree = newTree(),
+            keys = ["$", "a$", "$b", "__proto__", "constructor", "hasOwnProperty", "toString"],
+            json,
+            restored;
+
+        for (var i = 0; i < keys.length; i++) {
+            radixTree.insert(keys[i], i);
+        }
+        json = radixTree.buildJSONString();
+        restored = RadixTree.fromJSON(json);
+
+        for (i = 0; i < keys.length; i++) {
+            assertEquals([i], radixTree.get(keys[i]));
+            assertEquals([i], restored.get(keys[i]));
+            assertEquals([i], RadixTreeReader(json).get(keys[i]));
+            assertEquals([i], RadixTreeReader(radixTree.buildCompactString()).get(keys[i]));
+        }
+        assertEquals(keys.length, count(restored, "keywordCount"));
+        assertEquals(["$", "$b", "__proto__"], radixTree.search("").slice(0, 3).map(function (result) {
+            return result.keyword;
+        }));
+    },
+
+    testVersionOneJSONStillLoads: function () {
+        var json = '{"normalizers":["lowercase","underscore"],"keySwap":{},"tree":{"iron_man":{"$":["DVD"],"_2":{"$":["Blu-ray"]}}}}',
+            restored = RadixTree.fromJSON(json);
+
+        assertEquals(2, count(restored, "keywordCount"));
+        assertEquals(["Blu-ray"], restored.get("iron man 2"));
+        assertEquals(restored.search("iron"), RadixTreeReader(json).search("iron"));
+    },
+
+    testBuildMatchesInserts: function () {
+        var pairs = [["Star Wars 1", "DVD"], ["Iron Man", "Blu-ray", { weight: 3 }], ["Star Wars 1", "VHS"],
+                ["Iron Man 2", "DVD"], ["Star", "4K"], ["Iron", "DVD", { weight: 1 }]],
+            radixTree = newTree(),
+            built = RadixTree.build(pairs),
+            result;
+
+        for (var i = 0; i < pairs.length; i++) {
+            radixTree.insert(pairs[i][0], pairs[i][1], pairs[i][2]);
+        }
+        assertEquals(radixTree.buildJSONString(), built.buildJSONString());
+        assertEquals(5, count(built, "keywordCount"));
+        assertEquals(6, count(built, "dataCount"));
+        assertEquals("iron_man", built.rankedSearch("i", { limit: 1 })[0].keyword);
+
+        //a tree that isn't empty gets every pair inserted, "star wars 1" and "iron man 2" exist
+        result = this.radixTree.insertMany(pairs);
+        assertEquals(RadixTree.STATUS.INSERTED, result.status);
+        assertEquals(3, result.keywordsAffected);
+        assertEquals(6, result.dataAffected);
+        assertEquals(["4K", "DVD", "VHS"], this.radixTree.get("star wars 1"));
+    },
+
+    testEmptyKeyIsTheRoot: function () {
+        var pairs = [["", "DVD"], ["Iron Man", "Blu-ray"], ["", "VHS"]],
+            radixTree = newTree(),
+            built = RadixTree.build(pairs),
+            restored;
+
+        for (var i = 0; i < pairs.length; i++) {
+            radixTree.insert(pairs[i][0], pairs[i][1]);
+        }
+        assertEquals({ data: ["DVD", "VHS"], children: { iron_man: { data: ["Blu-ray"] } } }, nodes(radixTree));
+        assertEquals(radixTree.buildJSONString(), built.buildJSONString());
+
+        restored = RadixTree.fromJSON(built.buildJSONString());
+        assertEquals(["DVD", "VHS"], restored.get(""));
+        assertTrue(restored.has(""));
+        assertEquals(["", "iron_man"], keywords(restored.search("")));
+        assertEquals(["DVD", "VHS"], RadixTreeReader(built.buildJSONString()).get(""));
+
+        //removing the empty key keeps the rest of the tree
+        assertEquals(RadixTree.STATUS.REMOVED, radixTree.remove("", "DVD").status);
+        assertEquals(["VHS"], radixTree.get(""));
+        assertEquals(RadixTree.STATUS.REMOVED, radixTree.remove("").status);
+        assertUndefined(radixTree.get(""));
+        assertFalse(radixTree.has(""));
+        assertEquals({ children: { iron_man: { data: ["Blu-ray"] } } }, nodes(radixTree));
+        assertEquals(1, count(radixTree, "keywordCount"));
+    },
+
+    testPatchBringsJSONUpToDate: function () {
+        var json,
+            patch,
+            applied;
+
+        assertNull(this.radixTree.revision());
+        assertUndefined(JSON.parse(this.radixTree.buildJSONString()).revision);
+        assertEquals(0, this.radixTree.trackChanges());
+        json = this.radixTree.buildJSONString({ minify: true });
+
+        //new data, a keyword splitting a node key, weights and removals
+        this.radixTree.insert("Star Wars 1", "VHS");
+        this.radixTree.insert("Iron Lady", "DVD", { weight: 5 });
+        this.radixTree.insert("Iron", "4K");
+        this.radixTree.remove("Dark Knight 1");
+        this.radixTree.remove("Lord Rings 2", this.radixTree.get("Lord Rings 2")[0]);
+        assertEquals(5, this.radixTree.revision());
+
+        patch = this.radixTree.buildPatchString(0, { minify: true });
+        assertTrue(patch.length * 10 < json.length);
+        assertEquals({ from: 0, to: 5, clear: false, deleted: null, weights: { iron_lady: [5] } }, {
+            from: JSON.parse(patch).from,
+            to: JSON.parse(patch).to,
+            clear: JSON.parse(patch).clear,
+            deleted: JSON.parse(patch).keywords.dark_knight_1,
+            weights: JSON.parse(patch).weights
+        });
+
+        applied = RadixTreeReader.applyPatch(json, patch);
+        assertEquals(5, applied.revision);
+        assertEquals(RadixTreeReader(this.radixTree.buildJSONString()).search(""), RadixTreeReader(applied).search(""));
+        assertEquals(["DVD"], RadixTreeReader(applied).get("iron lady"));
+        assertEquals(JSON.parse(this.radixTree.buildJSONString()).weights, applied.weights);
+
+        //trees restored from the JSON keep counting from its revision
+        assertEquals(5, RadixTree.fromJSON(applied).revision());
+
+        //a cleared tree patches to an empty tree
+        this.radixTree.clear();
+        this.radixTree.insert("Iron", "DVD");
+        applied = RadixTreeReader.applyPatch(applied, this.radixTree.buildPatchString(5));
+        assertEquals([{ keyword: "iron", data: ["DVD"] }], RadixTreeReader(applied).search(""));
+    },
+
+    testPatchSendsSynonymChanges: function () {
+        var radixTree = newTree(),
+            json,
+            patch,
+            applied;
+
+        radixTree.insert("The Lord of the Rings", "DVD");
+        radixTree.trackChanges();
+        json = radixTree.buildJSONString();
+
+        //adding a group is a change of its own
+        radixTree.addSynonyms(["LOTR", "The Lord of the Rings"]);
+        radixTree.insert("X2", 2);
+        assertEquals(2, radixTree.revision());
+        patch = radixTree.buildPatchString(0);
+        assertEquals([["lotr", "the_lord_of_the_rings"]], JSON.parse(patch).synonyms);
+        assertUndefined(JSON.parse(radixTree.buildPatchString(1)).synonyms);
+
+        //the patched JSON searches the groups like a full export
+        applied = RadixTreeReader.applyPatch(json, patch);
+        assertEquals(JSON.parse(radixTree.buildJSONString()), applied);
+        assertEquals(["the_lord_of_the_rings"], keywords(RadixTree.fromJSON(applied).search("lotr")));
+        assertEquals(["the_lord_of_the_rings"], keywords(RadixTreeReader(applied).search("lotr")));
+
+        //removing the last group leaves the synonyms out of the JSON
+        assertEquals(0, radixTree.removeSynonyms("thor"));
+        assertEquals(2, radixTree.revision());
+        assertEquals(1, radixTree.removeSynonyms("lotr"));
+        patch = radixTree.buildPatchString(2);
+        assertEquals([], JSON.parse(patch).synonyms);
+        applied = RadixTreeReader.applyPatch(applied, patch);
+        assertEquals(JSON.parse(radixTree.buildJSONString()), applied);
+        assertUndefined(applied.synonyms);
+    },
+
+    testRolledBackChangesAreLeftOutOfPatches: function () {
+        var radixTree = newTree({ logger: null }),
+            json,
+            patch;
+
+        radixTree.trackChanges();
+        radixTree.insert("abc", "DVD");
+        radixTree.insert("abd", "DVD");
+        json = radixTree.buildJSONString();
+        assertException(function () {
+            radixTree.transaction(function () {
+                radixTree.clear();
+                radixTree.insert("xyz", "VHS");
+                throw new Error("import failed");
+            });
+        }, "Error");
+
+        //the revision and the changed keywords are put back
+        assertEquals(2, radixTree.revision());
+        patch = JSON.parse(radixTree.buildPatchString(1));
+        assertEquals({ from: 1, to: 2, clear: false, keywords: ["abd"] }, {
+            from: patch.from,
+            to: patch.to,
+            clear: patch.clear,
+            keywords: Object.keys(patch.keywords)
+        });
+        patch = JSON.parse(radixTree.buildPatchString(2));
+        assertFalse(patch.clear);
+        assertEquals({}, patch.keywords);
+        assertEquals(2, patch.to);
+        assertEquals(JSON.parse(json), RadixTreeReader.applyPatch(json, radixTree.buildPatchString(2)));
+
+        //tracking started by a rolled back transaction is rolled back too
+        radixTree = newTree({ logger: null });
+        assertException(function () {
+            radixTree.transaction(function () {
+                radixTree.trackChanges();
+                radixTree.insert("abc", "DVD");
+                throw new Error("import failed");
+            });
+        }, "Error");
+        assertNull(radixTree.revision());
+    },
+
+    testPatchErrors: function () {
+        var json;
+
+        assertException(function () {
+            newTree().buildPatchString(0);
+        }, "TypeError");
+
+        this.radixTree.trackChanges(10);
+        json = this.radixTree.buildJSONString();
+        this.radixTree.insert("Star Wars 7", "DVD");
+        this.radixTree.insert("Star Wars 8", "DVD");
+
+        assertException(function () {
+            this.radixTree.buildPatchString(9);
+        }.bind(this), "TypeError");
+        assertException(function () {
+            this.radixTree.buildPatchString(13);
+        }.bind(this), "TypeError");
+        //the patch must start at the revision of the JSON
+        assertException(function () {
+            RadixTreeReader.applyPatch(json, this.radixTree.buildPatchString(11));
+        }.bind(this), "TypeError");
+        assertException(function () {
+            RadixTreeReader.applyPatch(this.radixTree.buildCompactString(), this.radixTree.buildPatchString(10));
+        }.bind(this), "TypeError");
+        assertEquals(["DVD"], RadixTreeReader(RadixTreeReader.applyPatch(json, this.radixTree.buildPatchString(10))).get("star wars 8"));
+    }
+});
+
+/*****
+ * @private
+ * percent()
+ * The purpose of this function is to format the size of an export
+ *   relative to another export.
+ *
+ * @params
+ * json = mandatory, String export to measure
+ * base = mandatory, String export compared against
+ */
+function percent(json, base) {
+    return Math.round(json.length / base.length * 100) + "%";
+}
@@ -1,15 +1,568 @@
-var RadixTreeTest = TestCase("RadixTreeTest");
-
-RadixTree.prototype.testInsert = function() {
-    var radixTree = Object.create(RadixTree, { 
-        // RadixTree Object properties 
-        keywordCount: { value:0, writable:true, enumerable:true }, 
-        dataCount: { value:0, writable:true, enumerable:true }, 
-        tree: { value:{}, writable:true, enumerable:true }, 
-        //optional properties 
-        keySwap: { value:{key:"swap_key"} }
-    });
-    //TODO: finish testInsert
-};
-
-//TODO: finish test cases
\ No newline at end of file
+var RadixTreeTest = TestCase("RadixTreeTest", {
+
+    setUp: function () {
+        this.radixTree = newTree({ keySwap: { key: "swap_key" }, logger: null });
+    },
+
+    testInsertCreatesNode: function () {
+        var result = this.radixTree.insert("Iron Man", "DVD");
+
+        assertEquals(RadixTree.STATUS.INSERTED, result.status);
+        assertEquals("iron_man", result.key);
+        assertEquals(1, result.keywordsAffected);
+        assertEquals(1, result.dataAffected);
+        assertEquals({ children: { iron_man: { data: ["DVD"] } } }, nodes(this.radixTree));
+        assertEquals(["DVD"], this.radixTree.get("iron man"));
+    },
+
+    testInsertSplitsEdge: function () {
+        var result;
+
+        this.radixTree.insert("Iron Man", "DVD");
+        result = this.radixTree.insert("Iron Maiden", "CD");
+
+        //the shared prefix becomes a node without data holding both keys
+        assertEquals(RadixTree.STATUS.INSERTED, result.status);
+        assertEquals({ children: { iron_ma: { children: {
+            iden: { data: ["CD"] },
+            n: { data: ["DVD"] }
+        } } } }, nodes(this.radixTree));
+        assertFalse(this.radixTree.has("iron ma"));
+        assertEquals(2, count(this.radixTree, "keywordCount"));
+    },
+
+    testInsertSplitsEdgeAtKey: function () {
+        var result;
+
+        this.radixTree.insert("Iron Man 2", "DVD");
+        result = this.radixTree.insert("Iron Man", "Blu-ray");
+
+        //the key ends inside the edge, so the split node holds its data
+        assertEquals(RadixTree.STATUS.INSERTED, result.status);
+        assertEquals({ children: { iron_man: {
+            data: ["Blu-ray"],
+            children: { _2: { data: ["DVD"] } }
+        } } }, nodes(this.radixTree));
+    },
+
+    testInsertSuffix: function () {
+        this.radixTree.insert("Iron", "DVD");
+        this.radixTree.insert("Iron Man", "Blu-ray");
+        this.radixTree.insert("Iron Man 2", "VHS");
+
+        assertEquals({ children: { iron: {
+            data: ["DVD"],
+            children: { _man: {
+                data: ["Blu-ray"],
+                children: { _2: { data: ["VHS"] } }
+            } }
+        } } }, nodes(this.radixTree));
+        assertEquals(["iron", "iron_man", "iron_man_2"], keywords(this.radixTree.search("iron")));
+    },
+
+    testInsertDuplicateData: function () {
+        var result;
+
+        this.radixTree.insert("Iron Man", "DVD");
+        result = this.radixTree.insert("Iron Man", "Blu-ray");
+        assertEquals(RadixTree.STATUS.DATA_INSERTED, result.status);
+        assertEquals(0, result.keywordsAffected);
+        assertEquals(1, result.dataAffected);
+
+        //the same data is kept twice, like the same title in two stores
+        result = this.radixTree.insert("iron man", "DVD");
+        assertEquals(RadixTree.STATUS.DATA_INSERTED, result.status);
+        assertEquals(["DVD", "Blu-ray", "DVD"], this.radixTree.get("Iron Man"));
+        assertEquals(1, count(this.radixTree, "keywordCount"));
+        assertEquals(3, count(this.radixTree, "dataCount"));
+    },
+
+    testRemoveKey: function () {
+        var result;
+
+        this.radixTree.insert("Iron Man", "DVD");
+        this.radixTree.insert("Iron Man", "Blu-ray");
+        this.radixTree.insert("Thor", "DVD");
+        result = this.radixTree.remove("Iron Man");
+
+        assertEquals(RadixTree.STATUS.REMOVED, result.status);
+        assertEquals(1, result.keywordsAffected);
+        assertEquals(2, result.dataAffected);
+        assertFalse(this.radixTree.has("iron man"));
+        assertEquals({ children: { thor: { data: ["DVD"] } } }, nodes(this.radixTree));
+        assertEquals(1, count(this.radixTree, "keywordCount"));
+        assertEquals(1, count(this.radixTree, "dataCount"));
+    },
+
+    testRemoveData: function () {
+        var result;
+
+        this.radixTree.insert("Iron Man", "DVD");
+        this.radixTree.insert("Iron Man", "Blu-ray");
+
+        result = this.radixTree.remove("Iron Man", "DVD");
+        assertEquals(RadixTree.STATUS.REMOVED, result.status);
+        assertEquals(0, result.keywordsAffected);
+        assertEquals(1, result.dataAffected);
+        assertEquals(["Blu-ray"], this.radixTree.get("iron man"));
+
+        //removing the last data removes the keyword
+        result = this.radixTree.remove("Iron Man", "Blu-ray");
+        assertEquals(1, result.keywordsAffected);
+        assertFalse(this.radixTree.has("iron man"));
+        assertEquals({}, nodes(this.radixTree));
+        assertEquals(0, count(this.radixTree, "keywordCount"));
+        assertEquals(0, count(this.radixTree, "dataCount"));
+    },
+
+    testRemoveEmptyParents: function () {
+        this.radixTree.insert("Iron Man", "DVD");
+        this.radixTree.insert("Iron Maiden", "CD");
+        this.radixTree.insert("Iron Maiden 2", "CD");
+
+        //nodes left without data or children are removed up the tree
+        this.radixTree.remove("Iron Maiden 2");
+        this.radixTree.remove("Iron Maiden");
+        assertEquals({ children: { iron_ma: { children: {
+            n: { data: ["DVD"] }
+        } } } }, nodes(this.radixTree));
+
+        this.radixTree.remove("Iron Man");
+        assertEquals({}, nodes(this.radixTree));
+        assertEquals([], this.radixTree.search(""));
+    },
+
+    testRemoveErrors: function () {
+        var radixTree = this.radixTree;
+
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Man 2", "DVD");
+
+        assertEquals(RadixTree.STATUS.KEY_NOT_FOUND, radixTree.remove("Thor").status);
+        assertEquals(RadixTree.STATUS.PARTIAL_MATCH, radixTree.remove("Iron M").status);
+        assertEquals(RadixTree.STATUS.PARTIAL_MATCH, radixTree.remove("Iron Max").status);
+        assertEquals(RadixTree.STATUS.SUFFIX_MATCH, radixTree.remove("Iron Man 2 Extended").status);
+        assertEquals(RadixTree.STATUS.DATA_NOT_FOUND, radixTree.remove("Iron Man", "VHS").status);
+
+        //failed removals leave the tree and its counts as they were
+        assertEquals(["DVD"], radixTree.get("iron man"));
+        assertEquals(2, count(radixTree, "keywordCount"));
+        assertEquals(2, count(radixTree, "dataCount"));
+    },
+
+    testStrictRemoveThrows: function () {
+        var radixTree = newTree({ strict: true, logger: null }),
+            error = null;
+
+        radixTree.insert("Iron Man", "DVD");
+        assertException(function () {
+            radixTree.remove("Thor");
+        }, "RadixTreeError");
+        try {
+            radixTree.remove("Iron Man", "VHS");
+        } catch (e) {
+            error = e;
+        }
+        assertEquals(RadixTree.STATUS.DATA_NOT_FOUND, error.code);
+        assertEquals("iron_man", error.result.key);
+        assertEquals(["DVD"], radixTree.get("iron man"));
+    },
+
+    testLookups: function () {
+        var radixTree = this.radixTree,
+            data;
+
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Man", { format: "Blu-ray", discs: [1, 2] });
+        radixTree.insert("Iron Man 2", "DVD");
+
+        //only keys matching a node exactly are found
+        assertEquals(["DVD", { format: "Blu-ray", discs: [1, 2] }], radixTree.get("Iron Man"));
+        assertUndefined(radixTree.get("Iron"));
+        assertUndefined(radixTree.get("Iron Man 2 Extended"));
+        assertUndefined(radixTree.get("Thor"));
+        assertTrue(radixTree.has("iron man 2"));
+        assertFalse(radixTree.has("iron man "));
+        assertTrue(radixTree.hasData("Iron Man", "DVD"));
+        assertTrue(radixTree.hasData("Iron Man", { discs: [1, 2], format: "Blu-ray" }));
+        assertFalse(radixTree.hasData("Iron Man", "VHS"));
+        assertFalse(radixTree.hasData("Iron Ma", "DVD"));
+
+        //get() returns a copy of the data
+        data = radixTree.get("Iron Man");
+        data.push("VHS");
+        assertEquals(2, radixTree.get("Iron Man").length);
+    },
+
+    testEquality: function () {
+        var deep = newTree({ logger: null }),
+            identity = newTree({ equality: "identity", logger: null }),
+            custom = newTree({ equality: function (a, b) { return a.toLowerCase() === b.toLowerCase(); }, logger: null }),
+            byId = newTree({ dataId: function (data) { return data.id; }, logger: null }),
+            data = { format: "DVD", released: new Date(2008, 4, 2), discs: [1, NaN] };
+
+        //deep equality compares by value, Object keys in any order
+        deep.insert("Iron Man", data);
+        assertTrue(deep.hasData("Iron Man", { discs: [1, NaN], released: new Date(2008, 4, 2), format: "DVD" }));
+        assertEquals(RadixTree.STATUS.DATA_NOT_FOUND, deep.remove("Iron Man", { format: "DVD", discs: [1, NaN] }).status);
+        assertEquals(RadixTree.STATUS.REMOVED, deep.remove("Iron Man", { format: "DVD", released: new Date(2008, 4, 2), discs: [1, NaN] }).status);
+
+        //identity only matches the same Object
+        identity.insert("Iron Man", data);
+        assertEquals(RadixTree.STATUS.DATA_NOT_FOUND, identity.remove("Iron Man", { format: "DVD", released: data.released, discs: data.discs }).status);
+        assertEquals(RadixTree.STATUS.REMOVED, identity.remove("Iron Man", data).status);
+        identity.insert("Thor", NaN);
+        assertTrue(identity.hasData("Thor", NaN));
+
+        custom.insert("Iron Man", "DVD");
+        assertEquals(RadixTree.STATUS.REMOVED, custom.remove("Iron Man", "dvd").status);
+
+        //dataId compares the ids instead of the data
+        byId.insert("Iron Man", { id: 7, format: "DVD" });
+        byId.insert("Iron Man", { id: 8, format: "DVD" });
+        assertEquals(RadixTree.STATUS.REMOVED, byId.remove("Iron Man", { id: 7 }).status);
+        assertEquals([{ id: 8, format: "DVD" }], byId.get("Iron Man"));
+    },
+
+    testResults: function () {
+        var messages = [],
+            radixTree = newTree({ logger: function (message, result) { messages.push([message, result.status]); } });
+
+        assertEquals({ status: RadixTree.STATUS.INSERTED, key: "iron_man", keywordsAffected: 1, dataAffected: 1 }, radixTree.insert("Iron Man", "DVD"));
+        assertEquals({ status: RadixTree.STATUS.DATA_INSERTED, key: "iron_man", keywordsAffected: 0, dataAffected: 1 }, radixTree.insert("Iron Man", "4K"));
+        assertEquals({ status: RadixTree.STATUS.INSERTED, key: "iron", keywordsAffected: 1, dataAffected: 1 }, radixTree.insert("Iron", "DVD"));
+        assertEquals({ status: RadixTree.STATUS.REMOVED, key: "iron_man", keywordsAffected: 0, dataAffected: 1 }, radixTree.remove("Iron Man", "4K"));
+        assertEquals({ status: RadixTree.STATUS.REMOVED, key: "iron", keywordsAffected: 1, dataAffected: 1 }, radixTree.remove("Iron"));
+        assertEquals([], messages);
+
+        //failed removals are passed to the logger along with their Result
+        assertEquals({ status: RadixTree.STATUS.KEY_NOT_FOUND, key: "thor", keywordsAffected: 0, dataAffected: 0 }, radixTree.remove("Thor"));
+        radixTree.remove("Iron Man", "VHS");
+        assertEquals(2, messages.length);
+        assertEquals(RadixTree.STATUS.KEY_NOT_FOUND, messages[0][1]);
+        assertEquals(RadixTree.STATUS.DATA_NOT_FOUND, messages[1][1]);
+        assertTrue(messages[0][0].indexOf("thor") !== -1);
+    },
+
+    testNormalizers: function () {
+        var roman = function roman(key) {
+                return key.replace(/\bii\b/g, "2");
+            },
+            radixTree = newTree({
+                normalizers: ["diacritics", "lowercase", "punctuation", "whitespace", roman, "underscore"],
+                logger: null
+            }),
+            json;
+
+        assertEquals("iron_man", newTree().normalize("Iron Man"));
+        assertEquals("amelie_2", radixTree.normalize("  Am\u00e9lie:   II! "));
+        radixTree.insert("Am\u00e9lie II", "DVD");
+        assertEquals(["DVD"], radixTree.get("amelie 2"));
+
+        //custom normalizers are recorded by name and passed in again by name
+        json = radixTree.buildJSONString();
+        assertEquals(["diacritics", "lowercase", "punctuation", "whitespace", "roman", "underscore"], JSON.parse(json).normalizers);
+        assertEquals(["DVD"], RadixTreeReader(json, { normalizers: { roman: roman } }).get("Amelie II"));
+        assertException(function () {
+            RadixTreeReader(json);
+        }, "TypeError");
+        assertException(function () {
+            newTree({ normalizers: ["lowercase", "soundex"] }).insert("Iron Man", "DVD");
+        }, "TypeError");
+    },
+
+    testUnnamedNormalizersAreRejected: function () {
+        var normalizers = [function (key) {
+                return key.toLowerCase();
+            }],
+            radixTree = newTree({ normalizers: normalizers, logger: null });
+
+        //anonymous functions couldn't be recorded and restored by name
+        assertEquals("", normalizers[0].name);
+        assertException(function () {
+            radixTree.insert("Iron Man", "DVD");
+        }, "TypeError");
+        assertException(function () {
+            radixTree.buildJSONString();
+        }, "TypeError");
+        assertException(function () {
+            radixTree.get("Iron Man");
+        }, "TypeError");
+    },
+
+    testNumbersNormalizer: function () {
+        var radixTree = newTree({ normalizers: ["lowercase", "numbers", "underscore"], logger: null }),
+            keys = {
+                "three hundred": "300",
+                "Three Hundred": "300",
+                "twenty-one": "21",
+                "twenty one pilots": "21_pilots",
+                "one two": "1_2",
+                "twenty twenty": "20_20",
+                "zero five": "0_5",
+                "iron man three": "iron_man_3",
+                "nineteen hundred eighty four": "1984",
+                "one thousand and one nights": "1000_and_1_nights",
+                "three hundred twenty five thousand six hundred one": "325601",
+                "two hundred ten five": "210_5",
+                "ocean's eleven": "ocean's_11",
+                "someone": "someone"
+            };
+
+        for (var key in keys) {
+            assertEquals(key, keys[key], radixTree.normalize(key));
+        }
+        radixTree.insert("The Three Hundred", "DVD");
+        assertEquals(["DVD"], radixTree.get("the 300"));
+        assertEquals(["the_300"], keywords(radixTree.search("the three")));
+        assertEquals(["the_300"], keywords(RadixTreeReader(radixTree.buildJSONString()).search("The Three Hundred")));
+    },
+
+    testKeySwap: function () {
+        this.radixTree.insert("key", "DVD");
+
+        //the key is swapped before it's normalized, on every operation
+        assertEquals({ children: { swap_key: { data: ["DVD"] } } }, nodes(this.radixTree));
+        assertEquals(["DVD"], this.radixTree.get("key"));
+        assertEquals(["DVD"], this.radixTree.get("swap key"));
+        assertEquals(RadixTree.STATUS.REMOVED, this.radixTree.remove("key").status);
+        assertFalse(this.radixTree.has("swap key"));
+    },
+
+    testCounters: function () {
+        var radixTree = this.radixTree,
+            keys = ["a", "ab", "abc", "abd", "b", "ba", "a"];
+
+        for (var i = 0; i < keys.length; i++) {
+            radixTree.insert(keys[i], i);
+            assertCounts(radixTree);
+        }
+        radixTree.remove("ab");
+        assertCounts(radixTree);
+        radixTree.remove("a", 0);
+        assertCounts(radixTree);
+        radixTree.remove("nope");
+        assertCounts(radixTree);
+        assertEquals(5, count(radixTree, "keywordCount"));
+        assertEquals(5, count(radixTree, "dataCount"));
+    },
+
+    testEvents: function () {
+        var radixTree = this.radixTree,
+            events = [],
+            handler = function (event) {
+                events.push(event);
+            };
+
+        RadixTree.EVENTS.forEach(function (type) {
+            radixTree.on(type, handler);
+        });
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Maiden", "CD");
+        radixTree.remove("Iron Man");
+        radixTree.clear();
+
+        assertEquals([
+            { type: "insert", key: "iron_man", data: "DVD", weight: 1, path: ["iron_man"], created: true },
+            { type: "split", key: "iron_maiden", path: ["iron_ma"], nodeKey: "iron_man" },
+            { type: "insert", key: "iron_maiden", data: "CD", weight: 1, path: ["iron_ma", "iden"], created: true },
+            { type: "remove", key: "iron_man", data: ["DVD"], path: ["iron_ma", "n"], removed: true },
+            { type: "clear", path: [], keywordsAffected: 1, dataAffected: 1 }
+        ], events);
+        assertEquals({}, nodes(radixTree));
+
+        //handlers are removed once, failed changes emit nothing
+        assertTrue(radixTree.off("insert", handler));
+        assertFalse(radixTree.off("insert", handler));
+        radixTree.insert("Thor", "DVD");
+        radixTree.remove("Hulk");
+        assertEquals(5, events.length);
+        assertException(function () {
+            radixTree.on("update", handler);
+        }, "TypeError");
+    },
+
+    testFuzzAgainstMap: function () {
+        var radixTree = newTree({ logger: null }),
+            reference = new Map(),
+            random = seeded(42),
+            key,
+            data,
+            result;
+
+        for (var i = 0; i < 3000; i++) {
+            //short keys over a small alphabet split and merge nodes often
+            key = randomKey(random);
+            data = random(4);
+
+            switch (random(4)) {
+                case 0:
+                case 1:
+                    result = radixTree.insert(key, data);
+                    assertEquals(key, reference.has(key) ? RadixTree.STATUS.DATA_INSERTED : RadixTree.STATUS.INSERTED, result.status);
+                    reference.set(key, (reference.get(key) || []).concat([data]));
+                    break;
+                case 2:
+                    result = radixTree.remove(key);
+                    if (reference.has(key)) {
+                        assertEquals(key, RadixTree.STATUS.REMOVED, result.status);
+                        assertEquals(key, reference.get(key).length, result.dataAffected);
+                        reference.delete(key);
+                    } else {
+                        assertNotEquals(key, RadixTree.STATUS.REMOVED, result.status);
+                    }
+                    break;
+                default:
+                    result = radixTree.remove(key, data);
+                    if (reference.has(key) && reference.get(key).indexOf(data) !== -1) {
+                        assertEquals(key, RadixTree.STATUS.REMOVED, result.status);
+                        reference.get(key).splice(reference.get(key).indexOf(data), 1);
+                        if (!reference.get(key).length) {
+                            reference.delete(key);
+                        }
+                    } else {
+                        assertNotEquals(key, RadixTree.STATUS.REMOVED, result.status);
+                    }
+            }
+
+            if (i % 100 === 0) {
+                assertMatches(radixTree, reference);
+            }
+        }
+        assertMatches(radixTree, reference);
+    },
+
+    testSnapshot: function () {
+        var radixTree = newTree({ persistent: true, logger: null }),
+            before,
+            view;
+
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Man 2", "DVD");
+        view = radixTree.snapshot();
+        before = nodes(radixTree);
+
+        //splits, new data and removals leave the view as it was
+        radixTree.insert("Iron Maiden", "CD");
+        radixTree.insert("Iron Man", "Blu-ray");
+        radixTree.remove("Iron Man 2");
+        assertEquals(before, nodes(view));
+        assertEquals(2, count(view, "keywordCount"));
+        assertEquals(["DVD"], view.get("iron man"));
+        assertEquals(["DVD", "Blu-ray"], radixTree.get("iron man"));
+        assertEquals(["iron_maiden", "iron_man"], keywords(radixTree.search("iron")));
+        assertCounts(radixTree);
+
+        //views are read-only and only persistent trees have them
+        assertException(function () {
+            view.insert("Thor", "DVD");
+        }, "TypeError");
+        assertException(function () {
+            view.remove("Iron Man");
+        }, "TypeError");
+        assertException(function () {
+            view.clear();
+        }, "TypeError");
+        assertException(function () {
+            newTree().snapshot();
+        }, "TypeError");
+        assertEquals(before, nodes(view));
+    },
+
+    testSnapshotsDuringFuzz: function () {
+        var radixTree = newTree({ persistent: true, logger: null }),
+            random = seeded(7),
+            views = [];
+
+        for (var i = 0; i < 2000; i++) {
+            if (random(2)) {
+                radixTree.insert(randomKey(random), random(4));
+            } else {
+                radixTree.remove(randomKey(random));
+            }
+            if (i % 100 === 0) {
+                views.push({ view: radixTree.snapshot(), json: radixTree.buildJSONString() });
+            }
+        }
+
+        //every view still holds the tree it was taken from
+        for (var j = 0; j < views.length; j++) {
+            assertEquals(views[j].json, views[j].view.buildJSONString());
+            assertCounts(views[j].view);
+        }
+    },
+
+    testPersistentResults: function () {
+        var radixTree = newTree({ persistent: true, logger: null }),
+            first = radixTree.insert("Iron Man", "DVD").snapshot,
+            second = radixTree.insertMany([["Iron Man 2", "DVD"], ["Thor", "DVD"]]).snapshot,
+            removed = radixTree.remove("Iron Man"),
+            cleared = radixTree.clear().snapshot;
+
+        //every change returns the version of the tree after it
+        assertEquals(RadixTree.STATUS.REMOVED, removed.status);
+        assertEquals(["iron_man"], keywords(first.search("")));
+        assertEquals(["iron_man", "iron_man_2", "thor"], keywords(second.search("")));
+        assertEquals(["iron_man_2", "thor"], keywords(removed.snapshot.search("")));
+        assertEquals([], cleared.search(""));
+        assertEquals(2, count(removed.snapshot, "keywordCount"));
+        assertEquals(0, count(cleared, "dataCount"));
+        assertException(function () {
+            first.insert("Thor", "DVD");
+        }, "TypeError");
+
+        //failed changes return the unchanged version
+        assertEquals([], radixTree.remove("Hulk").snapshot.search(""));
+        assertUndefined(newTree({ logger: null }).insert("Iron Man", "DVD").snapshot);
+    },
+
+    testTransaction: function () {
+        var radixTree = this.radixTree,
+            events = [],
+            before;
+
+        radixTree.on("insert", function (event) {
+            events.push(event.key);
+        });
+        radixTree.insert("Iron Man", "DVD");
+        radixTree.insert("Iron Man 2", "DVD");
+        before = nodes(radixTree);
+        events.length = 0;
+
+        //a failed callback puts back the structure, the counts and the synonyms
+        assertException(function () {
+            radixTree.transaction(function () {
+                radixTree.insert("Iron Maiden", "CD");
+                radixTree.remove("Iron Man 2");
+                radixTree.addSynonyms(["iron", "steel"]);
+                throw new Error("import failed");
+            });
+        }, "Error");
+        assertEquals(before, nodes(radixTree));
+        assertEquals(2, count(radixTree, "keywordCount"));
+        assertEquals([], radixTree.getSynonyms("iron"));
+        assertCounts(radixTree);
+        assertEquals([], events);
+
+        //a failed nested transaction only rolls back its own changes
+        assertEquals("done", radixTree.transaction(function () {
+            radixTree.insert("Thor", "DVD");
+            assertException(function () {
+                radixTree.transaction(function () {
+                    radixTree.insert("Hulk", "DVD");
+                    throw new Error("import failed");
+                });
+            }, "Error");
+            assertEquals([], events);
+            return "done";
+        }));
+        assertEquals(["thor"], events);
+        assertEquals(["DVD"], radixTree.get("thor"));
+        assertEquals([], keywords(radixTree.search("hulk")));
+        assertCounts(radixTree);
+
+        assertException(function () {
+            radixTree.transaction("Thor");
+        }, "TypeError");
+    }
+});
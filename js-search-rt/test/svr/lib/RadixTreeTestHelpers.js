@@ -0,0 +1,166 @@
+/*****
+ * RadixTree test helpers
+ * Shared by the test cases of test/svr/js and test/com/js, so they are
+ *   loaded before them by jsTestDriver.conf, and before test/svr/js by
+ *   test/node/RadixTreeSuite.js.
+ */
+
+/*****
+ * @private
+ * newTree()
+ * The purpose of this function is to create an empty tree of the
+ *   RadixTree flavor that was loaded last.
+ *
+ * @param
+ * options = optional, Object with the optional properties of the tree
+ */
+function newTree(options) {
+    var descriptors = {
+            keywordCount: { value:0, writable:true, enumerable:true },
+            dataCount: { value:0, writable:true, enumerable:true },
+            tree: { value:{}, writable:true, enumerable:true }
+        },
+        radixTree,
+        key;
+
+    options = options || {};
+
+    //closure flavor
+    if (typeof RadixTree === "function" && !RadixTree.prototype.insert) {
+        return RadixTree(options);
+    }
+    //classical flavor
+    if (typeof RadixTree === "function") {
+        radixTree = new RadixTree();
+        for (key in options) {
+            radixTree[key] = options[key];
+        }
+        return radixTree;
+    }
+    //prototypal flavor
+    for (key in options) {
+        descriptors[key] = { value: options[key] };
+    }
+    return Object.create(RadixTree, descriptors);
+}
+
+/*****
+ * @private
+ * count()
+ * The purpose of this function is to read a count of any flavor, the
+ *   closure flavor returns its counts from functions.
+ *
+ * @params
+ * radixTree = mandatory, tree to read the count of
+ * name = mandatory, String "keywordCount" or "dataCount"
+ */
+function count(radixTree, name) {
+    return typeof radixTree[name] === "function" ? radixTree[name]() : radixTree[name];
+}
+
+/*****
+ * @private
+ * nodes()
+ * The purpose of this function is to get the nodes of any flavor as
+ *   exported by buildJSONString(), {data:[], children:{}}.
+ *
+ * @param
+ * radixTree = mandatory, tree to get the nodes of
+ */
+function nodes(radixTree) {
+    return JSON.parse(radixTree.buildJSONString()).tree;
+}
+
+/*****
+ * @private
+ * keywords()
+ * The purpose of this function is to get the keywords of search results.
+ *
+ * @param
+ * results = mandatory, Object[] returned by search()
+ */
+function keywords(results) {
+    return results.map(function (result) {
+        return result.keyword;
+    });
+}
+
+/*****
+ * @private
+ * assertCounts()
+ * The purpose of this function is to check that the counts match the
+ *   keywords and data found in the tree.
+ *
+ * @param
+ * radixTree = mandatory, tree to check
+ */
+function assertCounts(radixTree) {
+    var results = radixTree.search(""),
+        dataCount = 0;
+
+    for (var i = 0; i < results.length; i++) {
+        dataCount += results[i].data.length;
+    }
+    assertEquals(results.length, count(radixTree, "keywordCount"));
+    assertEquals(dataCount, count(radixTree, "dataCount"));
+}
+
+/*****
+ * @private
+ * assertMatches()
+ * The purpose of this function is to check that the tree holds the
+ *   same keywords and data as the reference Map, in sorted order.
+ *
+ * @params
+ * radixTree = mandatory, tree to check
+ * reference = mandatory, Map of every key to its data
+ */
+function assertMatches(radixTree, reference) {
+    var expected = [];
+
+    reference.forEach(function (data, key) {
+        expected.push({ keyword: key, data: data });
+    });
+    expected.sort(function (a, b) {
+        return a.keyword < b.keyword ? -1 : 1;
+    });
+    assertEquals(expected, radixTree.search(""));
+    assertCounts(radixTree);
+    reference.forEach(function (data, key) {
+        assertEquals(data, radixTree.get(key));
+    });
+}
+
+/*****
+ * @private
+ * seeded()
+ * The purpose of this function is to create a random number generator
+ *   that repeats the same numbers, so failed fuzz runs can be replayed.
+ *
+ * @param
+ * seed = mandatory, int starting the sequence
+ */
+function seeded(seed) {
+    return function random(max) {
+        seed = (seed * 16807) % 2147483647;
+        return seed % max;
+    };
+}
+
+/*****
+ * @private
+ * randomKey()
+ * The purpose of this function is to create a key of 1 to 4 characters
+ *   over an alphabet small enough for keys to share prefixes.
+ *
+ * @param
+ * random = mandatory, Function(max) returned by seeded()
+ */
+function randomKey(random) {
+    var key = "";
+
+    for (var i = random(4); i >= 0; i--) {
+        key += "ab_".charAt(random(3));
+    }
+    return key;
+}